@@ -12,79 +12,7 @@
 
 const {Database} = require('gateway-addon');
 const manifest = require('./manifest.json');
-const SerialPort = require('serialport');
-
-function isZWavePort(port) {
-  /**
-   * The popular HUSBZB-1 adapter contains ZWave AND Zigbee radios. With the
-   * most recent drivers from SiLabs, the radios are likely to enumerate in the
-   * following order with the following names:
-   *
-   * /dev/tty.GoControl_zigbee
-   * /dev/tty.GoControl_zwave
-   *
-   * Since `i` comes before `w` when the devices are listed, it's common for the
-   * Zigbee radio to be returned as the ZWave radio. We need to scrutinize the
-   * path of the radio to ensure that we're returning the actual ZWave one.
-   */
-  const isHUSBZB1 = port.vendorId == '10c4' && port.productId == '8a2a';
-  if (isHUSBZB1) {
-    const isGoControl = port.path.indexOf('GoControl') >= 0;
-    if (isGoControl) {
-      return port.path.indexOf('zwave') >= 0;
-    }
-
-    /**
-     * There is also a chance the radios show up with more typical names, if
-     * they're not using the latest drivers:
-     *
-     * /dev/ttyUSB0
-     * /dev/ttyUSB1
-     *
-     * For now, since there's no good way to distinguish one radio from the
-     * other with these names, and since this configuration was previously
-     * valid below, return true.
-     */
-    return true;
-  }
-
-  return ((port.vendorId == '0658' &&
-           port.productId == '0200') ||  // Aeotec Z-Stick Gen-5
-          (port.vendorId == '0658' &&
-           port.productId == '0280') ||  // UZB1
-          (port.vendorId == '10c4' &&
-           port.productId == 'ea60'));   // Aeotec Z-Stick S2
-}
-
-// Scan the serial ports looking for an OpenZWave adapter.
-//
-//    callback(error, port)
-//        Upon success, callback is invoked as callback(null, port) where `port`
-//        is the port object from SerialPort.list().
-//        Upon failure, callback is invoked as callback(err) instead.
-//
-function findZWavePort(callback) {
-  SerialPort.list().then((ports) => {
-    for (const port of ports) {
-      // Under OSX, SerialPort.list returns the /dev/tty.usbXXX instead
-      // /dev/cu.usbXXX. tty.usbXXX requires DCD to be asserted which
-      // isn't necessarily the case for ZWave dongles. The cu.usbXXX
-      // doesn't care about DCD.
-      if (port.path.startsWith('/dev/tty.usb')) {
-        port.path = port.path.replace('/dev/tty', '/dev/cu');
-      }
-
-      if (isZWavePort(port)) {
-        callback(null, port);
-        return;
-      }
-    }
-
-    callback('No ZWave port found');
-  }).catch((error) => {
-    callback(error);
-  });
-}
+const {findZWavePorts} = require('./zwave-ports');
 
 async function loadZWaveAdapters(addonManager, _, errorCallback) {
   let config = {};
@@ -109,6 +37,7 @@ async function loadZWaveAdapters(addonManager, _, errorCallback) {
   // file so that the debug config gets initialized before we import
   // the adapter class.
   const ZWaveAdapter = require('./zwave-adapter');
+  const ZWaveSupervisor = require('./zwave-supervisor');
 
   // Try to load openzwave-shared. This will fail if the libopenzwave.so
   // file can't be loaded for some reason, and we don't want to continue
@@ -121,18 +50,50 @@ async function loadZWaveAdapters(addonManager, _, errorCallback) {
     return;
   }
 
-  findZWavePort(function(error, port) {
+  findZWavePorts(config, function(error, ports) {
     if (error) {
       errorCallback(manifest.id, 'Unable to find ZWave adapter');
       return;
     }
 
-    console.log('Found ZWave port @', port.path);
+    for (const port of ports) {
+      console.log('Found ZWave port @', port.path,
+                  `(matched: ${port.matchedRule})`);
+    }
 
-    new ZWaveAdapter(addonManager, config, zwaveModule, port);
+    // openzwave-shared is a singleton: the Manager, its options and the
+    // callback which receives the notifications are shared by every
+    // instance. So a second adapter would steal the notifications of the
+    // first, and disconnecting either one would shut down both. Each
+    // dongle would need its own process, so we only use the first one
+    // which starts.
+    let adapter = null;
+    for (const port of ports) {
+      if (adapter) {
+        console.warn('Ignoring ZWave port @', port.path,
+                     '- only one ZWave dongle is supported');
+        continue;
+      }
+      try {
+        adapter = new ZWaveAdapter(addonManager, config, zwaveModule, port);
+        adapter.supervisor = new ZWaveSupervisor(adapter, config);
+      } catch (err) {
+        console.error('Failed to create ZWave adapter for', port.path,
+                      '-', err);
+        if (adapter) {
+          // Free up openzwave-shared for the next dongle.
+          adapter.disconnectZWave();
+          adapter = null;
+        }
+      }
+    }
+    if (!adapter) {
+      errorCallback(manifest.id, 'Unable to start the ZWave adapter');
+    }
 
-    // The zwave adapter will be added when it's driverReady method is called.
-    // Prior to that we don't know what the homeID of the adapter is.
+    // The zwave adapter will be added when it's driverReady method is
+    // called. Prior to that we don't know what the homeID of the
+    // adapter is.
   });
 }
 
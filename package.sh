@@ -91,7 +91,7 @@ if [[ "${ADDON_ARCH}" =~ "linux" ]]; then
   patchelf --set-rpath '$ORIGIN/../../../../openzwave/lib' node_modules/openzwave-shared/build/Release/openzwave_shared.node
 fi
 
-shasum --algorithm 256 manifest.json package.json *.js zwave-loader.sh LICENSE > SHA256SUMS
+shasum --algorithm 256 manifest.json package.json *.js quirks/* zwave-loader.sh LICENSE > SHA256SUMS
 
 find node_modules \( -type f -o -type l \) -exec shasum --algorithm 256 {} \; >> SHA256SUMS
 find "${OZW_DIR}" -type f -exec shasum --algorithm 256 {} \; >> SHA256SUMS
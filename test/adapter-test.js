@@ -0,0 +1,788 @@
+/**
+ * adapter-test.js - Test code for the ZWave adapter.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AddonManager = require('./mock-addonManager');
+const ZWaveModule = require('./mock-zwaveModule');
+const ZWaveAdapter = require('../zwave-adapter');
+const {
+  COMMAND_CLASS,
+  CONTROLLER_COMMAND,
+  CONTROLLER_STATE,
+} = require('../zwave-constants');
+
+const manifest = JSON.parse(fs.readFileSync('./package.json'));
+
+const NOTIFICATION_SLEEP = 4;
+const NOTIFICATION_DEAD = 5;
+const NOTIFICATION_ALIVE = 6;
+
+function loadFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join('test/classifier', filename)));
+}
+
+// Returns a copy of the node described by `json`, as if it had been
+// included with a different nodeId.
+function withNodeId(json, nodeId) {
+  const zwValues = {};
+  for (const zwValue of Object.values(json.zwValues)) {
+    const valueId = zwValue.value_id.replace(/^\d+-/, `${nodeId}-`);
+    zwValues[valueId] = Object.assign({}, zwValue, {
+      node_id: nodeId,
+      value_id: valueId,
+    });
+  }
+  const zwInfo = Object.assign({}, json.zwInfo, {nodeId});
+  return Object.assign({}, json, {zwInfo, zwValues});
+}
+
+describe('ZWaveAdapter', () => {
+  let dataDir;
+  let addonManager;
+  let adapter;
+  let zwave;
+
+  function startAdapter() {
+    addonManager = new AddonManager();
+    adapter = new ZWaveAdapter(addonManager, manifest, ZWaveModule,
+                               {comName: 'dummyPort'});
+    zwave = adapter.zwave;
+  }
+
+  function restartAdapter() {
+    adapter.unload();
+    startAdapter();
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    // Keep the identities (and the OpenZWave files) out of the real
+    // profile, and separate for each test.
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-'));
+    process.env.MOZIOT_HOME = dataDir;
+    startAdapter();
+  });
+
+  afterEach(() => {
+    adapter.unload();
+    jest.useRealTimers();
+    fs.rmSync(dataDir, {recursive: true, force: true});
+  });
+
+  function addFixture(filename) {
+    const json = loadFixture(filename);
+    zwave.addNode(json);
+    return adapter.nodes[json.zwInfo.nodeId];
+  }
+
+  function feedback(command, state, nodeId = 0) {
+    zwave.emit('controller command', nodeId, state, 0, '', command);
+  }
+
+  function lastPrompt(spy) {
+    const calls = spy.mock.calls;
+    return calls.length > 0 && calls[calls.length - 1][1];
+  }
+
+  describe('dead nodes', () => {
+    let node;
+
+    beforeEach(() => {
+      node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      zwave.emit('notification', node.nodeId, NOTIFICATION_DEAD);
+    });
+
+    it('stay dead when their values change', () => {
+      const zwValue = node.zwValues['3-37-1-0'];
+      zwave.emit('value changed', node.nodeId, zwValue.class_id,
+                 Object.assign({}, zwValue, {value: true}));
+      expect(node.dead).toBe(true);
+      expect(node.connected).toBe(false);
+
+      adapter.setNodesConnected(true);
+      expect(node.connected).toBe(false);
+
+      zwave.emit('notification', node.nodeId, NOTIFICATION_ALIVE);
+      expect(node.dead).toBe(false);
+      expect(node.connected).toBe(true);
+    });
+
+    it('are removed as failed nodes', () => {
+      zwave.removeNode = jest.fn();
+      zwave.removeFailedNode = jest.fn();
+      zwave.emit('node ready', node.nodeId, {});
+      adapter.removeThing(node);
+      expect(zwave.removeNode).not.toHaveBeenCalled();
+      expect(zwave.removeFailedNode).toHaveBeenCalledWith(node.nodeId);
+    });
+  });
+
+  describe('failed nodes', () => {
+    const SWITCH = 'Aeotec-ZW096-Smart-Switch-6.json';
+    let node;
+
+    beforeEach(() => {
+      node = addFixture(SWITCH);
+      jest.spyOn(zwave, 'removeNode');
+      jest.spyOn(zwave, 'removeFailedNode');
+      jest.spyOn(zwave, 'replaceFailedNode');
+      jest.spyOn(zwave, 'cancelControllerCommand');
+      jest.spyOn(addonManager, 'sendUnpairingPrompt');
+      jest.spyOn(addonManager, 'handleDeviceRemoved');
+    });
+
+    it('are removed when their removal is confirmed', () => {
+      adapter.removeThing(node);
+      expect(zwave.removeNode).toHaveBeenCalled();
+      expect(zwave.removeFailedNode).not.toHaveBeenCalled();
+
+      // The exclusion button can't be pressed on a broken device, so the
+      // user removes it again.
+      adapter.removeThing(node);
+      expect(zwave.cancelControllerCommand).toHaveBeenCalled();
+      expect(zwave.removeFailedNode).toHaveBeenCalledWith(node.nodeId);
+
+      feedback(CONTROLLER_COMMAND.REMOVE_FAILED_NODE,
+               CONTROLLER_STATE.COMPLETED);
+      expect(adapter.nodes[node.nodeId]).toBeUndefined();
+      expect(addonManager.handleDeviceRemoved).toHaveBeenCalledWith(node);
+      expect(adapter.removing).toBe(false);
+    });
+
+    it('are kept if they are still responding', () => {
+      adapter.removeFailedNode(node);
+      feedback(CONTROLLER_COMMAND.REMOVE_FAILED_NODE,
+               CONTROLLER_STATE.NODE_OK);
+      expect(lastPrompt(addonManager.sendUnpairingPrompt))
+        .toMatch(/still responding/);
+      expect(adapter.nodes[node.nodeId]).toBe(node);
+      expect(addonManager.handleDeviceRemoved).not.toHaveBeenCalled();
+      expect(adapter.removing).toBe(false);
+    });
+
+    it('are kept if the controller doesn\'t respond', () => {
+      adapter.removeFailedNode(node);
+      jest.advanceTimersByTime(30000);
+      expect(lastPrompt(addonManager.sendUnpairingPrompt))
+        .toMatch(/didn't respond/);
+      expect(adapter.nodes[node.nodeId]).toBe(node);
+      expect(adapter.removing).toBe(false);
+    });
+
+    it('can be replaced, keeping their Thing', () => {
+      const thingId = node.id;
+      adapter.replaceFailedNode(node.nodeId);
+      expect(zwave.replaceFailedNode).toHaveBeenCalledWith(node.nodeId);
+
+      // Other devices can't be added or removed in the meantime.
+      adapter.startPairing(60);
+      expect(adapter.pairing).toBe(false);
+
+      feedback(CONTROLLER_COMMAND.REPLACE_FAILED_NODE,
+               CONTROLLER_STATE.WAITING);
+      zwave.emit('node removed', node.nodeId);
+      expect(adapter.nodes[node.nodeId]).toBeUndefined();
+      feedback(CONTROLLER_COMMAND.REPLACE_FAILED_NODE,
+               CONTROLLER_STATE.COMPLETED);
+
+      const replacement = addFixture(SWITCH);
+      expect(replacement).not.toBe(node);
+      expect(replacement.id).toBe(thingId);
+      expect(addonManager.nodes[node.nodeId]).toBe(replacement);
+      expect(addonManager.handleDeviceRemoved).not.toHaveBeenCalled();
+      expect(adapter.replacingNodeId).toBeNull();
+    });
+
+    it('aren\'t replaced if they are still responding', () => {
+      adapter.replaceFailedNode(node.nodeId);
+      feedback(CONTROLLER_COMMAND.REPLACE_FAILED_NODE,
+               CONTROLLER_STATE.NODE_OK);
+      expect(adapter.replacingNodeId).toBeNull();
+      expect(adapter.nodes[node.nodeId]).toBe(node);
+    });
+
+    it('stop being replaced after a minute', () => {
+      adapter.replaceFailedNode(node.nodeId);
+      jest.advanceTimersByTime(60000);
+      expect(zwave.cancelControllerCommand).toHaveBeenCalled();
+      expect(adapter.replacingNodeId).toBeNull();
+    });
+  });
+
+  describe('prompts', () => {
+    beforeEach(() => {
+      jest.spyOn(addonManager, 'sendPairingPrompt');
+      jest.spyOn(addonManager, 'sendUnpairingPrompt');
+    });
+
+    function pairingPrompt() {
+      return lastPrompt(addonManager.sendPairingPrompt);
+    }
+
+    function unpairingPrompt() {
+      return lastPrompt(addonManager.sendUnpairingPrompt);
+    }
+
+    it('follow the progress of inclusion', () => {
+      adapter.startPairing(60);
+      expect(pairingPrompt()).toMatch(/^Press the inclusion button/);
+
+      const progress = [
+        [CONTROLLER_STATE.WAITING, 0, /^Waiting - press the inclusion/],
+        [CONTROLLER_STATE.IN_PROGRESS, 0, /^Device found$/],
+        [CONTROLLER_STATE.IN_PROGRESS, 3, /^Adding device as node 3$/],
+        [CONTROLLER_STATE.COMPLETED, 3, /^Device included as node 3/],
+      ];
+      for (const [state, nodeId, prompt] of progress) {
+        feedback(CONTROLLER_COMMAND.ADD_DEVICE, state, nodeId);
+        expect(pairingPrompt()).toMatch(prompt);
+      }
+    });
+
+    it('explain why inclusion failed', () => {
+      adapter.startPairing(60);
+      feedback(CONTROLLER_COMMAND.ADD_DEVICE, CONTROLLER_STATE.FAILED);
+      expect(pairingPrompt()).toMatch(/failed\. Exclude it/);
+    });
+
+    it('follow the interview of a newly included node', () => {
+      jest.spyOn(zwave, 'getNodeQueryStage')
+        .mockReturnValue('ManufacturerSpecific1');
+      adapter.startPairing(60);
+      zwave.emit('node added', 3);
+      jest.advanceTimersByTime(1000);
+      expect(pairingPrompt())
+        .toBe('Reading the details of node 3: Manufacturer Specific 1');
+
+      zwave.emit('notification', 3, NOTIFICATION_SLEEP);
+      jest.advanceTimersByTime(1000);
+      expect(pairingPrompt()).toMatch(/^Node 3 has gone to sleep/);
+
+      const node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      expect(pairingPrompt()).toBe(`Added ${node.name}`);
+      expect(adapter.interviews).toEqual({});
+    });
+
+    it('follow the progress of exclusion', () => {
+      const node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      adapter.removeThing(node);
+      expect(unpairingPrompt()).toMatch(/^Press the exclusion button/);
+
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE, CONTROLLER_STATE.WAITING);
+      expect(unpairingPrompt()).toMatch(/^Waiting - press the exclusion/);
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE,
+               CONTROLLER_STATE.IN_PROGRESS, 3);
+      expect(unpairingPrompt()).toBe('Device found - removing it');
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE, CONTROLLER_STATE.FAILED);
+      expect(unpairingPrompt()).toMatch(/^Removing the device failed/);
+      expect(adapter.removing).toBe(false);
+    });
+  });
+
+  describe('continuous inclusion', () => {
+    beforeEach(() => {
+      adapter.config.continuousInclusion = true;
+      jest.spyOn(zwave, 'addNode');
+      jest.spyOn(zwave, 'cancelControllerCommand');
+      jest.spyOn(addonManager, 'sendPairingPrompt');
+    });
+
+    function included(nodeId) {
+      feedback(CONTROLLER_COMMAND.ADD_DEVICE, CONTROLLER_STATE.COMPLETED,
+               nodeId);
+    }
+
+    it('keeps including devices until pairing times out', () => {
+      adapter.startPairing(60);
+      expect(zwave.addNode).toHaveBeenCalledTimes(1);
+
+      included(5);
+      jest.advanceTimersByTime(1000);
+      expect(zwave.addNode).toHaveBeenCalledTimes(2);
+      expect(lastPrompt(addonManager.sendPairingPrompt))
+        .toMatch(/^1 device\(s\) added/);
+
+      included(6);
+      jest.advanceTimersByTime(1000);
+      expect(zwave.addNode).toHaveBeenCalledTimes(3);
+      expect(adapter.pairedNodeIds).toEqual([5, 6]);
+
+      // Pairing times out before the controller is re-armed.
+      jest.advanceTimersByTime(57500);
+      included(7);
+      jest.advanceTimersByTime(1000);
+      expect(adapter.pairing).toBe(false);
+      expect(zwave.addNode).toHaveBeenCalledTimes(3);
+    });
+
+    it('stops when pairing is cancelled', () => {
+      adapter.startPairing(60);
+      included(5);
+      adapter.cancelPairing();
+      expect(zwave.cancelControllerCommand).toHaveBeenCalled();
+      jest.advanceTimersByTime(1000);
+      expect(zwave.addNode).toHaveBeenCalledTimes(1);
+    });
+
+    it('is only used when enabled', () => {
+      adapter.config.continuousInclusion = false;
+      adapter.startPairing(60);
+      included(5);
+      jest.advanceTimersByTime(1000);
+      expect(zwave.addNode).toHaveBeenCalledTimes(1);
+    });
+
+    it('doesn\'t start while a device is being removed', () => {
+      const node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      adapter.removeThing(node);
+      adapter.startPairing(60);
+      expect(adapter.pairing).toBe(false);
+      expect(zwave.addNode).toHaveBeenCalledTimes(1);
+      expect(zwave.addNode).not.toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('exclusion', () => {
+    let node;
+
+    beforeEach(() => {
+      node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      jest.spyOn(addonManager, 'sendUnpairingPrompt');
+      jest.spyOn(addonManager, 'handleDeviceRemoved');
+      adapter.removeThing(node);
+    });
+
+    function unpairingPrompt() {
+      return lastPrompt(addonManager.sendUnpairingPrompt);
+    }
+
+    it('removes the device which was excluded', () => {
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE,
+               CONTROLLER_STATE.IN_PROGRESS, node.nodeId);
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE, CONTROLLER_STATE.COMPLETED);
+      expect(addonManager.handleDeviceRemoved).toHaveBeenCalledWith(node);
+      expect(adapter.nodes[node.nodeId]).toBeUndefined();
+      expect(adapter.removing).toBe(false);
+
+      // OpenZWave reports the removal too.
+      zwave.emit('node removed', node.nodeId);
+      expect(addonManager.handleDeviceRemoved).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(30000);
+      expect(unpairingPrompt()).toBe('Device found - removing it');
+    });
+
+    it('warns when a different device was excluded', () => {
+      const other = addFixture('Aeotec-ZW120-Door-Window-Sensor-Gen5.json');
+      zwave.emit('node removed', other.nodeId);
+      expect(addonManager.handleDeviceRemoved).toHaveBeenCalledWith(other);
+      expect(adapter.nodes[node.nodeId]).toBe(node);
+      expect(unpairingPrompt()).toContain(
+        `Removed ${other.name} (node ${other.nodeId}) instead of ${node.name}`);
+      expect(adapter.removing).toBe(false);
+    });
+
+    it('explains when a device from another network was excluded', () => {
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE,
+               CONTROLLER_STATE.IN_PROGRESS);
+      feedback(CONTROLLER_COMMAND.REMOVE_DEVICE, CONTROLLER_STATE.COMPLETED);
+      expect(unpairingPrompt()).toMatch(/wasn't part of this network/);
+      expect(addonManager.handleDeviceRemoved).not.toHaveBeenCalled();
+      expect(adapter.removing).toBe(false);
+    });
+
+    it('times out if no device is excluded', () => {
+      jest.advanceTimersByTime(30000);
+      expect(unpairingPrompt()).toMatch(/^No device was excluded/);
+      expect(adapter.nodes[node.nodeId]).toBe(node);
+      expect(adapter.removing).toBe(false);
+    });
+  });
+
+  describe('names', () => {
+    const SWITCH = 'Aeotec-ZW096-Smart-Switch-6.json';
+
+    beforeEach(() => {
+      jest.spyOn(zwave, 'setNodeName');
+      jest.spyOn(zwave, 'setNodeLocation');
+    });
+
+    it('aren\'t written to the node when a new Thing is saved', () => {
+      const node = addFixture(SWITCH);
+      adapter.handleDeviceSaved(node.id, {title: node.name});
+      expect(zwave.setNodeName).not.toHaveBeenCalled();
+    });
+
+    it('aren\'t written to the node when the add-on restarts', () => {
+      // The classifier names sirens after their Thing id.
+      const json = loadFixture('Aeotec-ZW164-Siren-6.json');
+      const thingId = `${adapter.id}-${json.zwInfo.nodeId}`;
+      adapter.handleDeviceSaved(thingId, {title: `${thingId}-Siren`});
+      zwave.addNode(json);
+      expect(zwave.setNodeName).not.toHaveBeenCalled();
+    });
+
+    it('are written to the node when a Thing is renamed', () => {
+      const node = addFixture(SWITCH);
+      adapter.handleDeviceSaved(node.id, {title: node.name});
+      adapter.handleDeviceSaved(node.id, {title: 'Kettle'});
+      expect(zwave.setNodeName).toHaveBeenCalledWith(node.nodeId, 'Kettle');
+      expect(node.zwInfo.name).toBe('Kettle');
+      expect(node.asDict().title).toBe('Kettle');
+
+      adapter.handleDeviceSaved(node.id, {title: 'Kettle'});
+      expect(zwave.setNodeName).toHaveBeenCalledTimes(1);
+    });
+
+    it('are written to the node once it has been found', () => {
+      const json = loadFixture(SWITCH);
+      const thingId = `${adapter.id}-${json.zwInfo.nodeId}`;
+      adapter.handleDeviceSaved(thingId, {title: 'Kettle', location: 'Den'});
+      expect(zwave.setNodeName).not.toHaveBeenCalled();
+
+      zwave.addNode(json);
+      expect(zwave.setNodeName).toHaveBeenCalledWith(json.zwInfo.nodeId,
+                                                     'Kettle');
+      expect(zwave.setNodeLocation).toHaveBeenCalledWith(json.zwInfo.nodeId,
+                                                         'Den');
+    });
+
+    it('stored in the node are kept when they match', () => {
+      const json = loadFixture(SWITCH);
+      json.zwInfo.name = 'Kettle';
+      zwave.addNode(json);
+      const node = adapter.nodes[json.zwInfo.nodeId];
+      expect(node.name).toBe('Kettle');
+      adapter.handleDeviceSaved(node.id, {title: 'Kettle'});
+      expect(zwave.setNodeName).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('identities', () => {
+    const SWITCH = 'Aeotec-ZW096-Smart-Switch-6.json';
+    let node;
+    let thingId;
+
+    beforeEach(() => {
+      node = addFixture(SWITCH);
+      thingId = node.id;
+      zwave.emit('scan complete');
+      adapter.handleDeviceSaved(thingId, {title: 'Kettle'});
+    });
+
+    it('let a re-included device keep its Thing and title', () => {
+      zwave.emit('node removed', node.nodeId);
+      restartAdapter();
+
+      zwave.addNode(withNodeId(loadFixture(SWITCH), 12));
+      const included = adapter.nodes[12];
+      expect(included.id).toBe(thingId);
+      expect(included.asDict().title).toBe('Kettle');
+      expect(addonManager.nodes[12]).toBe(included);
+    });
+
+    it('don\'t take over a Thing which is in use', () => {
+      zwave.addNode(withNodeId(loadFixture(SWITCH), 12));
+      const included = adapter.nodes[12];
+      expect(included.id).toBe(included.originalId);
+      expect(included.id).not.toBe(thingId);
+    });
+
+    it('let a device replace another one', async () => {
+      const sensor = addFixture('Aeotec-ZW120-Door-Window-Sensor-Gen5.json');
+      await expect(adapter.replaceDevice(sensor.nodeId, thingId)).rejects
+        .toMatch(/still in use/);
+      await expect(adapter.replaceDevice(99, thingId)).rejects
+        .toMatch(/Unknown/);
+
+      zwave.emit('node removed', node.nodeId);
+      await adapter.replaceDevice(sensor.nodeId, thingId);
+      expect(sensor.id).toBe(thingId);
+      expect(sensor.asDict().title).toBe('Kettle');
+      expect(addonManager.nodes[sensor.nodeId]).toBe(sensor);
+
+      // The sensor keeps the Thing from then on.
+      restartAdapter();
+      const restarted =
+        addFixture('Aeotec-ZW120-Door-Window-Sensor-Gen5.json');
+      expect(restarted.id).toBe(thingId);
+      expect(restarted.asDict().title).toBe('Kettle');
+    });
+
+    it('are kept in the data directory', () => {
+      const json = JSON.parse(fs.readFileSync(
+        path.join(dataDir, 'data', 'zwave-adapter', 'identities.json')));
+      expect(Object.values(json.devices)).toEqual([thingId]);
+      expect(json.titles).toEqual({[thingId]: 'Kettle'});
+    });
+  });
+
+  describe('migration', () => {
+    const HOME_ID = 0xe2f4a1c3;
+    const NEW_HOME_ID = 0x1d7c6b05;
+    const SWITCH = 'Aeotec-ZW096-Smart-Switch-6.json';
+    const DOOR_SENSOR = 'Aeotec-ZW120-Door-Window-Sensor-Gen5.json';
+    const WATER_SENSOR = 'Aeotec-ZW122-Water-Sensor.json';
+
+    // Door sensors which don't report a serial number can only be matched
+    // by make and model.
+    function doorSensor(nodeId) {
+      const json = withNodeId(loadFixture(DOOR_SENSOR), nodeId);
+      json.zwValues[`${nodeId}-114-1-4`].value = '';
+      return json;
+    }
+
+    // Starts the add-on with the dongle `homeId`, and the Things which
+    // are saved in the gateway.
+    function startNetwork(homeId, savedDevices, jsons) {
+      zwave.emit('driver ready', homeId);
+      for (const thingId in savedDevices) {
+        adapter.handleDeviceSaved(thingId, savedDevices[thingId]);
+      }
+      for (const json of jsons) {
+        zwave.addNode(json);
+      }
+      zwave.emit('scan complete');
+    }
+
+    let oldThings;
+
+    beforeEach(() => {
+      startNetwork(HOME_ID, {}, [
+        loadFixture(SWITCH),
+        doorSensor(9),
+        loadFixture(WATER_SENSOR),
+      ]);
+      oldThings = {};
+      for (const nodeId of [3, 9, 12]) {
+        const node = adapter.nodes[nodeId];
+        oldThings[nodeId] = node.id;
+        adapter.handleDeviceSaved(node.id, {title: `Old ${nodeId}`});
+      }
+      restartAdapter();
+    });
+
+    function savedDevices() {
+      const saved = {};
+      for (const nodeId in oldThings) {
+        saved[oldThings[nodeId]] = {title: `Old ${nodeId}`};
+      }
+      return saved;
+    }
+
+    it('isn\'t needed while the HomeId stays the same', () => {
+      startNetwork(HOME_ID, savedDevices(), [loadFixture(SWITCH)]);
+      expect(adapter.planMigration()).toBeUndefined();
+      expect(adapter.migrationStatus()).toBe('Not needed');
+    });
+
+    it('matches the devices on the new dongle', () => {
+      startNetwork(NEW_HOME_ID, savedDevices(), [
+        withNodeId(loadFixture(SWITCH), 5),
+        doorSensor(6),
+      ]);
+
+      // The switch is recognized by its serial number when it's added.
+      expect(adapter.nodes[5].id).toBe(oldThings[3]);
+
+      const plan = adapter.planMigration();
+      expect(plan.previousHomeId).toBe(HOME_ID.toString(16));
+      expect(plan.matches).toEqual([
+        {node: adapter.nodes[6], thingId: oldThings[9]},
+      ]);
+      expect(plan.unmatched).toEqual([oldThings[12]]);
+      expect(adapter.migrationStatus())
+        .toBe(`1 to migrate, unmatched: ${oldThings[12]}`);
+
+      adapter.migrateDevices();
+      expect(adapter.nodes[6].id).toBe(oldThings[9]);
+      expect(adapter.nodes[6].asDict().title).toBe('Old 9');
+      expect(adapter.migrationStatus())
+        .toBe(`0 to migrate, unmatched: ${oldThings[12]}`);
+
+      // Including the water sensor leaves nothing to migrate.
+      zwave.addNode(withNodeId(loadFixture(WATER_SENSOR), 7));
+      expect(adapter.nodes[7].id).toBe(oldThings[12]);
+      adapter.migrateDevices();
+      expect(adapter.migrationStatus()).toBe('Not needed');
+      restartAdapter();
+      startNetwork(NEW_HOME_ID, {}, []);
+      expect(adapter.migrationStatus()).toBe('Not needed');
+    });
+
+    it('doesn\'t guess between devices of the same make and model', () => {
+      startNetwork(NEW_HOME_ID, savedDevices(), [
+        doorSensor(6),
+        doorSensor(7),
+      ]);
+      const plan = adapter.planMigration();
+      expect(plan.matches).toEqual([]);
+      expect(plan.unmatched.sort())
+        .toEqual([oldThings[3], oldThings[9], oldThings[12]].sort());
+    });
+  });
+
+  describe('switch configs', () => {
+    let setValue;
+
+    beforeEach(() => {
+      setValue = jest.spyOn(zwave, 'setValue');
+    });
+
+    // Returns the {paramId: value} configuration parameters which were set
+    // through their value.
+    function configValues() {
+      const values = {};
+      for (const [, classId, instance, index, value] of setValue.mock.calls) {
+        if (classId == COMMAND_CLASS.CONFIGURATION && instance == 1) {
+          values[index] = value;
+        }
+      }
+      return values;
+    }
+
+    it('are set on Aeotec switches', () => {
+      const node = addFixture('Aeotec-ZW116-Nano-Switch.json');
+      expect(setValue).toHaveBeenCalledWith(node.nodeId,
+                                            COMMAND_CLASS.CONFIGURATION,
+                                            1, 80, 'Basic');
+      // It reports power, so it's also treated as a smart plug.
+      expect(configValues()).toEqual({80: 'Basic', 90: 'Enable', 91: 1});
+    });
+
+    it('are replaced by the setConfigs of smart plugs', () => {
+      const setConfigParam = jest.spyOn(zwave, 'setConfigParam');
+      const node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      expect(configValues()).toEqual({80: 'Basic'});
+      expect(setConfigParam).toHaveBeenCalledWith(node.nodeId, 91, 25, 2);
+    });
+
+    it('skip list items which the device doesn\'t have', () => {
+      addFixture('Aeotec-ZW121-LED-Strip.json');
+      expect(configValues()).toEqual({});
+    });
+
+    it('aren\'t set on other switches', () => {
+      addFixture('GoControl-WA00Z-Wall-Switch.json');
+      expect(configValues()).toEqual({});
+    });
+  });
+
+  describe('gas meters', () => {
+    let node;
+
+    beforeEach(() => {
+      // The flow is worked out using Date.now().
+      jest.useFakeTimers('modern');
+      node = addFixture('NorthQ-NQ-9121-Gas-Meter.json');
+    });
+
+    function report(volume) {
+      const zwValue = node.zwValues['11-50-1-16'];
+      zwave.emit('value changed', node.nodeId, zwValue.class_id,
+                 Object.assign({}, zwValue, {value: volume}));
+    }
+
+    function flow() {
+      return node.properties.get('gasFlow').value;
+    }
+
+    it('show the flow between readings', () => {
+      report('1024.57');
+      expect(flow()).toBeUndefined();
+
+      jest.advanceTimersByTime(30 * 60 * 1000);
+      report('1024.82');
+      expect(flow()).toBe(0.5);
+    });
+
+    it('don\'t show a flow when the meter is reset', () => {
+      report('1024.57');
+      jest.advanceTimersByTime(30 * 60 * 1000);
+      report('0');
+      expect(flow()).toBeUndefined();
+    });
+  });
+
+  describe('diagnostics', () => {
+    let controller;
+    let node;
+
+    beforeEach(() => {
+      controller = addFixture('Aeotec-ZW090-Z-Stick-Gen5.json');
+      node = addFixture('Aeotec-ZW096-Smart-Switch-6.json');
+      jest.spyOn(zwave, 'getNodeStatistics').mockReturnValue({
+        sentCnt: 12,
+        receivedCnt: 34,
+        sentFailed: 1,
+        averageRequestRTT: 56,
+      });
+      zwave.emit('scan complete');
+    });
+
+    function value(name) {
+      return controller.properties.get(name).value;
+    }
+
+    it('are shown by the controller for the chosen node', async () => {
+      expect(value('diagnosticsNode')).toBe('');
+      await adapter.showDiagnostics(node.nodeId);
+      expect(value('diagnosticsNode'))
+        .toBe(`Node ${node.nodeId} (${node.getTitle()})`);
+      expect(value('framesSent')).toBe(12);
+      expect(value('framesReceived')).toBe(34);
+      expect(value('failedTransmissions')).toBe(1);
+      expect(value('averageRoundTrip')).toBe(56);
+      // Nothing has been received from the node yet.
+      expect(value('lastSeen')).toBe('');
+    });
+
+    it('follow the node', async () => {
+      await adapter.showDiagnostics(node.nodeId);
+      jest.advanceTimersByTime(1000);
+      zwave.emit('notification', node.nodeId, NOTIFICATION_ALIVE);
+      expect(value('lastSeen')).toBe(node.lastSeen.toISOString());
+
+      zwave.getNodeStatistics.mockReturnValue({sentCnt: 13});
+      jest.advanceTimersByTime(300000);
+      expect(value('framesSent')).toBe(13);
+    });
+
+    it('aren\'t shown for unknown nodes', async () => {
+      await expect(adapter.showDiagnostics(99)).rejects.toMatch(/Unknown/);
+      await expect(adapter.showDiagnostics(1)).rejects.toMatch(/Unknown/);
+      expect(value('diagnosticsNode')).toBe('');
+    });
+
+    it('show the result of healing the node', async () => {
+      const spy = jest.spyOn(zwave, 'healNetworkNode');
+      await adapter.healNode(node.nodeId);
+      expect(spy).toHaveBeenCalledWith(node.nodeId, true);
+      expect(value('diagnosticsNode'))
+        .toBe(`Node ${node.nodeId} (${node.getTitle()})`);
+      expect(value('healResult')).toBe('');
+
+      feedback(CONTROLLER_COMMAND.REQUEST_NODE_NEIGHBOR_UPDATE,
+               CONTROLLER_STATE.COMPLETED, node.nodeId);
+      expect(value('healResult')).toBe('healed');
+    });
+
+    it('can\'t heal unknown nodes', async () => {
+      const spy = jest.spyOn(zwave, 'healNetworkNode');
+      await expect(adapter.healNode(99)).rejects.toMatch(/Unknown/);
+      await expect(adapter.healNode(1)).rejects.toMatch(/Unknown/);
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+});
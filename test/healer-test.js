@@ -0,0 +1,208 @@
+/**
+ * healer-test.js - Test code for healing the ZWave network.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  CONTROLLER_COMMAND,
+  CONTROLLER_STATE,
+} = require('../zwave-constants');
+const {parseTimeOfDay, ZWaveHealer} = require('../zwave-healer');
+
+const HEAL_NODE_TIMEOUT = 60000;
+const HOUR = 60 * 60 * 1000;
+
+function makeNode(nodeId) {
+  return {
+    nodeId,
+    dead: false,
+    setHealResult: jest.fn(),
+  };
+}
+
+function makeAdapter() {
+  return {
+    ready: true,
+    pairing: false,
+    removing: false,
+    replacingNodeId: null,
+    nodes: {
+      1: makeNode(1),
+      2: makeNode(2),
+      3: makeNode(3),
+      4: makeNode(4),
+    },
+    zwave: {
+      getControllerNodeId: () => 1,
+      healNetworkNode: jest.fn(),
+      cancelControllerCommand: jest.fn(),
+    },
+    updateControllerProperties: jest.fn(),
+  };
+}
+
+describe('parseTimeOfDay', () => {
+  it('parses HH:MM', () => {
+    expect(parseTimeOfDay('03:30')).toEqual({hours: 3, minutes: 30});
+    expect(parseTimeOfDay(' 3:05 ')).toEqual({hours: 3, minutes: 5});
+    expect(parseTimeOfDay('23:59')).toEqual({hours: 23, minutes: 59});
+  });
+
+  it('rejects invalid times', () => {
+    for (const str of ['24:00', '12:60', '12', '12:5', 'noon', '', null]) {
+      expect(parseTimeOfDay(str)).toBeUndefined();
+    }
+  });
+});
+
+describe('ZWaveHealer', () => {
+  let adapter;
+  let healer;
+
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    adapter = makeAdapter();
+    healer = new ZWaveHealer(adapter, {});
+  });
+
+  afterEach(() => {
+    healer.unload();
+    jest.useRealTimers();
+  });
+
+  function feedback(state) {
+    healer.controllerCommand(state,
+                             CONTROLLER_COMMAND.REQUEST_NODE_NEIGHBOR_UPDATE);
+  }
+
+  function healedNodeIds() {
+    return adapter.zwave.healNetworkNode.mock.calls.map((call) => call[0]);
+  }
+
+  it('heals every node except the controller and dead nodes', () => {
+    adapter.nodes[3].dead = true;
+    expect(healer.healNetwork()).toBe(true);
+    expect(healer.status()).toBe('Healing node 2 (1 of 2)');
+    feedback(CONTROLLER_STATE.COMPLETED);
+    feedback(CONTROLLER_STATE.COMPLETED);
+    expect(healedNodeIds()).toEqual([2, 4]);
+    expect(healer.isHealing()).toBe(false);
+    expect(healer.results).toEqual({2: 'healed', 4: 'healed'});
+    expect(healer.status()).toBe('Healed 2 of 2 nodes');
+  });
+
+  it('records nodes which fail or are asleep', () => {
+    healer.start([2, 3, 4]);
+    feedback(CONTROLLER_STATE.FAILED);
+    feedback(CONTROLLER_STATE.SLEEPING);
+    feedback(CONTROLLER_STATE.ERROR);
+    expect(healer.results).toEqual({
+      2: 'failed',
+      3: 'queued until awake',
+      4: 'failed',
+    });
+    expect(adapter.nodes[3].setHealResult)
+      .toHaveBeenCalledWith('queued until awake');
+    expect(healer.status()).toBe('Healed 0 of 3 nodes');
+  });
+
+  it('ignores feedback from other controller commands', () => {
+    healer.start([2]);
+    healer.controllerCommand(CONTROLLER_STATE.COMPLETED,
+                             CONTROLLER_COMMAND.ADD_DEVICE);
+    expect(healer.isHealing()).toBe(true);
+  });
+
+  it('moves on when a node doesn\'t report back', () => {
+    healer.start([2, 3]);
+    jest.advanceTimersByTime(HEAL_NODE_TIMEOUT - 1);
+    expect(healedNodeIds()).toEqual([2]);
+    jest.advanceTimersByTime(1);
+    expect(healedNodeIds()).toEqual([2, 3]);
+    expect(healer.results).toEqual({2: 'timed out'});
+    feedback(CONTROLLER_STATE.COMPLETED);
+    expect(healer.results).toEqual({2: 'timed out', 3: 'healed'});
+  });
+
+  it('adds nodes to a heal which is already running', () => {
+    healer.start([2]);
+    healer.healNode(2);
+    healer.healNode(3);
+    expect(healer.total).toBe(2);
+    feedback(CONTROLLER_STATE.COMPLETED);
+    feedback(CONTROLLER_STATE.COMPLETED);
+    expect(healedNodeIds()).toEqual([2, 3]);
+  });
+
+  it('cancels the remaining nodes when stopped', () => {
+    healer.start([2, 3, 4]);
+    feedback(CONTROLLER_STATE.COMPLETED);
+    healer.stop('removing a device');
+    expect(adapter.zwave.cancelControllerCommand).toHaveBeenCalled();
+    expect(healer.isHealing()).toBe(false);
+    expect(healer.results).toEqual({
+      2: 'healed',
+      3: 'cancelled',
+      4: 'cancelled',
+    });
+    expect(adapter.nodes[4].setHealResult).toHaveBeenCalledWith('cancelled');
+
+    // The timeout for node 3 was cancelled too.
+    jest.advanceTimersByTime(HEAL_NODE_TIMEOUT);
+    expect(healedNodeIds()).toEqual([2, 3]);
+  });
+
+  it('won\'t heal while a device is being added', () => {
+    adapter.pairing = true;
+    expect(healer.healNetwork()).toBe(false);
+    expect(adapter.zwave.healNetworkNode).not.toHaveBeenCalled();
+  });
+
+  describe('scheduled heal', () => {
+    function scheduleAt(now, healTime) {
+      healer.unload();
+      jest.setSystemTime(now);
+      healer = new ZWaveHealer(adapter, {healTime});
+    }
+
+    it('heals at the configured time each day', () => {
+      scheduleAt(new Date(2021, 0, 1, 1, 0), '03:30');
+      jest.advanceTimersByTime(2.5 * HOUR - 1);
+      expect(adapter.zwave.healNetworkNode).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(healedNodeIds()).toEqual([2]);
+
+      healer.stop('test');
+      jest.advanceTimersByTime(24 * HOUR);
+      expect(healedNodeIds()).toEqual([2, 2]);
+    });
+
+    it('waits until tomorrow if the time has passed', () => {
+      scheduleAt(new Date(2021, 0, 1, 4, 0), '03:30');
+      jest.advanceTimersByTime(23.5 * HOUR - 1);
+      expect(adapter.zwave.healNetworkNode).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(adapter.zwave.healNetworkNode).toHaveBeenCalled();
+    });
+
+    it('skips the heal if the network isn\'t ready', () => {
+      adapter.ready = false;
+      scheduleAt(new Date(2021, 0, 1, 1, 0), '03:30');
+      jest.advanceTimersByTime(2.5 * HOUR);
+      expect(adapter.zwave.healNetworkNode).not.toHaveBeenCalled();
+      expect(jest.getTimerCount()).toBe(1);
+    });
+
+    it('ignores an invalid time', () => {
+      scheduleAt(new Date(2021, 0, 1, 1, 0), '3pm');
+      expect(jest.getTimerCount()).toBe(0);
+    });
+  });
+});
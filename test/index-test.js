@@ -0,0 +1,82 @@
+/**
+ * index-test.js - Test code for choosing which ZWave dongle to use.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+jest.mock('gateway-addon', () => ({
+  Database: class {
+    open() {
+      return Promise.resolve();
+    }
+
+    loadConfig() {
+      return Promise.resolve({});
+    }
+
+    saveConfig() {
+      return Promise.resolve();
+    }
+
+    close() {
+    }
+  },
+}));
+jest.mock('openzwave-shared', () => ({}), {virtual: true});
+// The real module needs serialport's native bindings.
+jest.mock('../zwave-ports', () => ({findZWavePorts: jest.fn()}));
+jest.mock('../zwave-adapter', () => jest.fn());
+jest.mock('../zwave-supervisor', () => jest.fn());
+
+const {findZWavePorts} = require('../zwave-ports');
+const ZWaveAdapter = require('../zwave-adapter');
+const loadZWaveAdapters = require('../index');
+
+describe('loadZWaveAdapters', () => {
+  const ports = [
+    {path: '/dev/ttyACM0'},
+    {path: '/dev/ttyACM1'},
+    {path: '/dev/ttyACM2'},
+  ];
+  let errorCallback;
+
+  beforeEach(() => {
+    errorCallback = jest.fn();
+    ZWaveAdapter.mockReset();
+    findZWavePorts.mockImplementation((config, callback) => {
+      callback(null, ports);
+    });
+  });
+
+  it('only uses the first dongle', async () => {
+    await loadZWaveAdapters({}, null, errorCallback);
+    expect(ZWaveAdapter).toHaveBeenCalledTimes(1);
+    expect(ZWaveAdapter.mock.calls[0][3]).toBe(ports[0]);
+    expect(errorCallback).not.toHaveBeenCalled();
+  });
+
+  it('moves on to the next dongle when one fails', async () => {
+    ZWaveAdapter.mockImplementationOnce(() => {
+      throw new Error('broken');
+    });
+    await loadZWaveAdapters({}, null, errorCallback);
+    expect(ZWaveAdapter).toHaveBeenCalledTimes(2);
+    expect(ZWaveAdapter.mock.calls[1][3]).toBe(ports[1]);
+    expect(errorCallback).not.toHaveBeenCalled();
+  });
+
+  it('reports an error when no dongle starts', async () => {
+    ZWaveAdapter.mockImplementation(() => {
+      throw new Error('broken');
+    });
+    await loadZWaveAdapters({}, null, errorCallback);
+    expect(ZWaveAdapter).toHaveBeenCalledTimes(3);
+    expect(errorCallback).toHaveBeenCalled();
+  });
+});
@@ -17,13 +17,29 @@ class MockAddonManager extends EventEmitter {
     this.userProfile = {};
   }
 
+  addAdapter(_adapter) {
+  }
+
   handleDeviceAdded(node) {
     this.nodes[node.nodeId] = node;
   }
 
+  handleDeviceRemoved(node) {
+    delete this.nodes[node.nodeId];
+  }
+
+  sendPairingPrompt(_adapter, _prompt, _url, _device) {
+  }
+
+  sendUnpairingPrompt(_adapter, _prompt, _url, _device) {
+  }
+
   sendPropertyChangedNotification(_property) {
   }
 
+  sendConnectedNotification(_device, _connected) {
+  }
+
   getGatewayVersion() {
     return '';
   }
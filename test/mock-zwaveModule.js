@@ -17,7 +17,12 @@ class MockZWaveModule extends EventEmitter {
     this.nodes = {};
   }
 
+  // The adapter calls addNode(doSecurity) to start inclusion, while the
+  // tests call it with a node to add.
   addNode(node) {
+    if (typeof node !== 'object') {
+      return;
+    }
     this.nodes[node.zwInfo.nodeId] = node;
     this.emit('node added', node.zwInfo.nodeId);
     for (const valueId in node.zwValues) {
@@ -40,16 +45,35 @@ class MockZWaveModule extends EventEmitter {
     this.emit('node ready', nodeId, nodeInfo);
   }
 
+  cancelControllerCommand() {
+  }
+
   connect(portName) {
     console.log('MockZWaveModule: connect', portName);
   }
 
+  disconnect(portName) {
+    console.log('MockZWaveModule: disconnect', portName);
+  }
+
   disablePoll(_zwValue) {
   }
 
   enablePoll(_zwValue, _intensity) {
   }
 
+  getControllerNodeId() {
+    return 1;
+  }
+
+  getLibraryTypeName() {
+    return 'Static Controller';
+  }
+
+  getLibraryVersion() {
+    return 'Z-Wave 4.05';
+  }
+
   getNodeBasic(nodeId) {
     const node = this.nodes[nodeId];
     if (node) {
@@ -71,9 +95,52 @@ class MockZWaveModule extends EventEmitter {
     }
   }
 
+  getNodeQueryStage(_nodeId) {
+    return 'Complete';
+  }
+
+  getNodeStatistics(_nodeId) {
+    return {
+      sentCnt: 0,
+      receivedCnt: 0,
+      sentFailed: 0,
+      averageRequestRTT: 0,
+    };
+  }
+
+  healNetworkNode(_nodeId, _doReturnRoutes) {
+  }
+
+  pressButton(_valueId) {
+  }
+
+  releaseButton(_valueId) {
+  }
+
+  removeFailedNode(_nodeId) {
+  }
+
+  removeNode() {
+  }
+
+  replaceFailedNode(_nodeId) {
+  }
+
   setConfigParam(_nodeId, _paramId, _value, _size) {
   }
 
+  setNodeLocation(_nodeId, _location) {
+  }
+
+  setNodeName(_nodeId, _name) {
+  }
+
+  setValue(..._args) {
+  }
+
+  softReset() {
+  }
+
   scanComplete() {
     this.emit('scan complete');
   }
@@ -0,0 +1,148 @@
+/**
+ * supervisor-test.js - Test code for the recovery of a lost dongle.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+const EventEmitter = require('events').EventEmitter;
+
+// The real module needs serialport's native bindings.
+jest.mock('../zwave-ports', () => ({findZWavePorts: jest.fn()}));
+const {findZWavePorts} = require('../zwave-ports');
+const ZWaveSupervisor = require('../zwave-supervisor');
+
+const HOME_ID = 0xe2f4a1c3;
+
+function makeAdapter() {
+  return {
+    id: `zwave-${HOME_ID.toString(16)}`,
+    homeId: HOME_ID,
+    // The port check only needs the device file to exist.
+    port: {path: '/dev/null', serialNumber: '1234'},
+    zwave: new EventEmitter(),
+    setNodesConnected: jest.fn(),
+    connectZWave: jest.fn(),
+    disconnectZWave: jest.fn(),
+  };
+}
+
+describe('ZWaveSupervisor', () => {
+  let adapter;
+  let supervisor;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    adapter = makeAdapter();
+    supervisor = new ZWaveSupervisor(adapter, {});
+  });
+
+  afterEach(() => {
+    supervisor.stop();
+    jest.useRealTimers();
+  });
+
+  function rescanWith(ports) {
+    findZWavePorts.mockImplementation((config, callback) => {
+      callback(null, ports);
+    });
+    jest.runOnlyPendingTimers();
+  }
+
+  it('recovers when the driver fails', () => {
+    adapter.zwave.emit('driver failed');
+    expect(supervisor.state).toBe('lost');
+    expect(adapter.setNodesConnected).toHaveBeenCalledWith(false);
+    expect(adapter.disconnectZWave).toHaveBeenCalled();
+
+    const port = {path: '/dev/ttyUSB2', serialNumber: '1234'};
+    rescanWith([port]);
+    expect(adapter.connectZWave).toHaveBeenCalledWith(port);
+    expect(supervisor.state).toBe('reconnecting');
+
+    adapter.zwave.emit('driver ready', HOME_ID);
+    expect(supervisor.state).toBe('running');
+  });
+
+  it('backs off while the dongle is missing', () => {
+    findZWavePorts.mockImplementation((config, callback) => {
+      callback(null, []);
+    });
+    adapter.zwave.emit('driver failed');
+    for (const delay of [2000, 4000, 8000]) {
+      findZWavePorts.mockClear();
+      jest.advanceTimersByTime(delay - 1);
+      expect(findZWavePorts).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(findZWavePorts).toHaveBeenCalled();
+    }
+    expect(supervisor.state).toBe('lost');
+  });
+
+  it('notices when the dongle is unplugged', () => {
+    supervisor.stop();
+    adapter.port.path = '/dev/zwave-test-missing';
+    supervisor = new ZWaveSupervisor(adapter, {});
+    jest.advanceTimersByTime(5000);
+    expect(supervisor.state).toBe('lost');
+    expect(adapter.disconnectZWave).toHaveBeenCalled();
+  });
+
+  it('only checks for device files', () => {
+    supervisor.stop();
+    adapter.port.path = 'COM3';
+    supervisor = new ZWaveSupervisor(adapter, {});
+    jest.advanceTimersByTime(60000);
+    expect(supervisor.state).toBe('running');
+  });
+
+  it('only reconnects to the same dongle', () => {
+    adapter.zwave.emit('driver failed');
+    expect(supervisor.state).toBe('lost');
+    expect(adapter.setNodesConnected).toHaveBeenCalledWith(false);
+    expect(adapter.disconnectZWave).toHaveBeenCalled();
+
+    rescanWith([{path: '/dev/ttyUSB1', serialNumber: '5678'}]);
+    expect(adapter.connectZWave).not.toHaveBeenCalled();
+    expect(supervisor.state).toBe('lost');
+
+    const port = {path: '/dev/ttyUSB2', serialNumber: '1234'};
+    rescanWith([{path: '/dev/ttyUSB1', serialNumber: '5678'}, port]);
+    expect(adapter.connectZWave).toHaveBeenCalledWith(port);
+    expect(supervisor.state).toBe('reconnecting');
+
+    adapter.zwave.emit('driver ready', HOME_ID);
+    expect(supervisor.state).toBe('running');
+  });
+
+  it('keeps looking when the HomeId is different', () => {
+    adapter.zwave.emit('driver failed');
+    rescanWith([{path: adapter.port.path}]);
+    expect(supervisor.state).toBe('reconnecting');
+
+    adapter.disconnectZWave.mockClear();
+    adapter.zwave.emit('driver ready', 0x12345678);
+    expect(supervisor.state).toBe('lost');
+    expect(adapter.disconnectZWave).toHaveBeenCalled();
+    expect(supervisor.recoveryTimer).not.toBeNull();
+  });
+
+  it('follows the connection of a network attached dongle', () => {
+    supervisor.stop();
+    adapter.tcpBridge = new EventEmitter();
+    adapter.port = {path: 'tcp://127.0.0.1:3333', tcp: {}};
+    supervisor = new ZWaveSupervisor(adapter, {});
+
+    adapter.tcpBridge.emit('disconnected');
+    expect(supervisor.state).toBe('lost');
+    adapter.tcpBridge.emit('connected');
+    expect(supervisor.state).toBe('reconnecting');
+    adapter.zwave.emit('driver ready', HOME_ID);
+    expect(supervisor.state).toBe('running');
+  });
+});
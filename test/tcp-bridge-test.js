@@ -0,0 +1,193 @@
+/**
+ * tcp-bridge-test.js - Test code for network attached controllers.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+// socat is replaced by the fake processes which the tests create.
+jest.mock('child_process', () => ({spawn: jest.fn()}));
+
+const childProcess = require('child_process');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AddonManager = require('./mock-addonManager');
+const ZWaveModule = require('./mock-zwaveModule');
+const ZWaveAdapter = require('../zwave-adapter');
+const {parseTcpAddress, ZWaveTcpBridge} = require('../zwave-tcp-bridge');
+
+const manifest = JSON.parse(fs.readFileSync('./package.json'));
+
+const HOME_ID = 0xe2f4a1c3;
+
+// How often the bridge looks for the pseudo-terminal.
+const PTY_POLL_INTERVAL = 250;
+
+describe('parseTcpAddress', () => {
+  it('parses host and port', () => {
+    expect(parseTcpAddress('tcp://192.168.1.20:3333'))
+      .toEqual({host: '192.168.1.20', port: 3333});
+    expect(parseTcpAddress('tcp://[::1]:3333/'))
+      .toEqual({host: '::1', port: 3333});
+    expect(parseTcpAddress('/dev/ttyACM0')).toBeUndefined();
+  });
+});
+
+describe('ZWaveTcpBridge', () => {
+  let tmpDir;
+  let ptyPath;
+  let bridge;
+  let processes;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-tcp-'));
+    ptyPath = path.join(tmpDir, 'pty');
+    // Each socat process is replaced by an emitter, which closes when
+    // it's killed.
+    processes = [];
+    childProcess.spawn.mockImplementation(() => {
+      const proc = new EventEmitter();
+      proc.stderr = new EventEmitter();
+      proc.kill = jest.fn(() => proc.emit('close'));
+      processes.push(proc);
+      return proc;
+    });
+    bridge = new ZWaveTcpBridge('192.168.1.20', 3333, ptyPath);
+  });
+
+  afterEach(() => {
+    bridge.stop();
+    jest.useRealTimers();
+    childProcess.spawn.mockReset();
+    fs.rmSync(tmpDir, {recursive: true, force: true});
+  });
+
+  // socat creates the pseudo-terminal once it has connected.
+  function socatConnected() {
+    fs.writeFileSync(ptyPath, '');
+    jest.advanceTimersByTime(PTY_POLL_INTERVAL);
+  }
+
+  // socat exits when the connection fails or is lost, and removes the
+  // pseudo-terminal.
+  function socatExited() {
+    fs.rmSync(ptyPath, {force: true});
+    processes[processes.length - 1].emit('close');
+  }
+
+  it('connects a pseudo-terminal to the socket', () => {
+    const connected = jest.fn();
+    bridge.on('connected', connected);
+    bridge.start();
+    expect(childProcess.spawn).toHaveBeenCalledWith('socat', [
+      'tcp:192.168.1.20:3333,nodelay',
+      `pty,link=${ptyPath},raw,echo=0`,
+    ], expect.anything());
+
+    jest.advanceTimersByTime(PTY_POLL_INTERVAL);
+    expect(connected).not.toHaveBeenCalled();
+    socatConnected();
+    expect(connected).toHaveBeenCalledWith(ptyPath);
+    expect(bridge.connected).toBe(true);
+  });
+
+  it('backs off between reconnection attempts', () => {
+    bridge.start();
+    [1000, 2000, 4000].forEach((delay, attempt) => {
+      socatExited();
+      jest.advanceTimersByTime(delay - 1);
+      expect(processes.length).toBe(attempt + 1);
+      jest.advanceTimersByTime(1);
+      expect(processes.length).toBe(attempt + 2);
+    });
+
+    // Connecting resets the delay.
+    const disconnected = jest.fn();
+    bridge.on('disconnected', disconnected);
+    socatConnected();
+    socatExited();
+    expect(disconnected).toHaveBeenCalled();
+    expect(bridge.connected).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(processes.length).toBe(5);
+  });
+
+  it('stops reconnecting once stopped', () => {
+    bridge.start();
+    socatConnected();
+    bridge.stop();
+    expect(processes[0].kill).toHaveBeenCalled();
+    jest.advanceTimersByTime(60000);
+    expect(processes.length).toBe(1);
+  });
+
+  it('gives up if socat isn\'t installed', () => {
+    bridge.start();
+    const err = new Error('spawn socat ENOENT');
+    err.code = 'ENOENT';
+    processes[0].emit('error', err);
+    processes[0].emit('close');
+    jest.advanceTimersByTime(60000);
+    expect(processes.length).toBe(1);
+  });
+});
+
+describe('ZWaveAdapter over TCP', () => {
+  let adapter;
+  let bridge;
+
+  beforeEach(() => {
+    // The bridge's socat process is replaced by emitting its events.
+    jest.spyOn(ZWaveTcpBridge.prototype, 'start').mockImplementation(() => {
+    });
+    const address = 'tcp://127.0.0.1:3333';
+    const port = {
+      path: address,
+      tcp: parseTcpAddress(address),
+    };
+    adapter = new ZWaveAdapter(new AddonManager(), manifest, ZWaveModule,
+                               port);
+    bridge = adapter.tcpBridge;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function setBridgeConnected(connected) {
+    bridge.connected = connected;
+    bridge.emit(connected ? 'connected' : 'disconnected');
+  }
+
+  it('keeps its nodes when the connection comes back', () => {
+    const json = JSON.parse(fs.readFileSync(
+      './test/classifier/Aeotec-ZW116-Nano-Switch.json'));
+    const nodeId = json.zwInfo.nodeId;
+
+    setBridgeConnected(true);
+    expect(adapter.zwaveConnected).toBe(true);
+    adapter.zwave.emit('driver ready', HOME_ID);
+    adapter.zwave.addNode(JSON.parse(JSON.stringify(json)));
+    const node = adapter.nodes[nodeId];
+    expect(node.connected).toBe(true);
+
+    setBridgeConnected(false);
+    expect(node.connected).toBe(false);
+
+    setBridgeConnected(true);
+    expect(adapter.reconnecting).toBe(true);
+    adapter.zwave.emit('driver ready', HOME_ID);
+    adapter.zwave.addNode(JSON.parse(JSON.stringify(json)));
+    expect(adapter.nodes[nodeId]).toBe(node);
+    expect(node.connected).toBe(true);
+  });
+});
@@ -14,10 +14,19 @@ const manifest = require('./manifest.json');
 const mkdirp = require('mkdirp');
 const os = require('os');
 const path = require('path');
+const {ZWaveHealer} = require('./zwave-healer');
+const ZWaveIdentities = require('./zwave-identities');
 const ZWaveNode = require('./zwave-node');
+const {ZWaveTcpBridge} = require('./zwave-tcp-bridge');
 const zwaveClassifier = require('./zwave-classifier');
+const {loadQuirks, setOverrides} = require('./zwave-quirks');
 const {
   COMMAND_CLASS,
+  CONTROLLER_COMMAND,
+  CONTROLLER_COMMAND_STR,
+  CONTROLLER_ERROR_STR,
+  CONTROLLER_STATE,
+  CONTROLLER_STATE_STR,
 } = require('./zwave-constants');
 
 const {Adapter} = require('gateway-addon');
@@ -26,6 +35,18 @@ const {
   DEBUG_flow,
 } = require('./zwave-debug');
 
+// How often to check on the interview of a newly included node, and how
+// long to keep checking for, in milliseconds.
+const INTERVIEW_POLL_INTERVAL = 1000;
+const INTERVIEW_TIMEOUT = 300000;
+
+// How long to wait after a device has been included before putting the
+// controller back into inclusion mode, in milliseconds.
+const CONTINUOUS_INCLUSION_DELAY = 1000;
+
+// Used when the statisticsInterval option is missing, in seconds.
+const STATISTICS_INTERVAL_DEFAULT = 300;
+
 function getDataPath(dataDir) {
   if (dataDir) {
     return path.join(dataDir, 'zwave-adapter');
@@ -68,17 +89,50 @@ class ZWaveAdapter extends Adapter {
     this.named = false;
     this.pairing = false;
     this.pairingTimeout = false;
+    // The nodeIds of the devices included during the current pairing
+    // session, and the timer used to re-arm continuous inclusion.
+    this.pairedNodeIds = [];
+    this.rearmTimeout = null;
     this.removing = false;
     this.removeTimeout = null;
+    // The device being removed, and whether it's being removed as a
+    // failed node (rather than through exclusion).
+    this.removingDevice = null;
+    this.removingFailed = false;
+    // The nodeId which the controller reported it was excluding.
+    this.excludedNodeId = 0;
+    // The nodeId of the failed node which is being replaced.
+    this.replacingNodeId = null;
+    this.replaceTimeout = null;
+    // nodeId => {stage, timer, startTime} for newly included nodes which
+    // are still being interviewed.
+    this.interviews = {};
+    this.statisticsTimer = null;
+    // The node whose diagnostics the controller shows (see
+    // showDiagnostics), and its statistics from OpenZWave.
+    this.diagnosticsNodeId = null;
+    this.statistics = null;
+    // deviceId => the description of each Thing which has been saved in
+    // the gateway (see handleDeviceSaved).
+    this.savedDevices = {};
 
     this.nodes = {};
     this.nodesBeingAdded = {};
+    this.controllerNode = null;
+    this.controllerState = CONTROLLER_STATE_STR[CONTROLLER_STATE.NORMAL];
+
+    // The user's own quirks take precedence over the built-in ones, and
+    // the overrides from the config take precedence over both.
+    loadQuirks(path.join(getDataPath(this.userProfile.dataDir), 'quirks'));
+    setOverrides(config.deviceOverrides);
 
     const logDir = getDataPath(this.userProfile.dataDir);
     if (!fs.existsSync(logDir)) {
       mkdirp.sync(logDir, {mode: 0o755});
     }
 
+    this.identities = new ZWaveIdentities(logDir);
+
     // move any old config files to the new directory
     const oldLogDir = getLogPath(this.userProfile.logDir);
     if (fs.existsSync(oldLogDir)) {
@@ -150,16 +204,22 @@ class ZWaveAdapter extends Adapter {
     this.zwave.on('value removed', this.valueRemoved.bind(this));
     this.zwave.on('scene event', this.sceneEvent.bind(this));
 
-    this.zwave.connect(port.path);
-  }
-
-  asDict() {
-    const dict = super.asDict();
-    const node1 = this.nodes[1];
-    if (node1) {
-      this.node1 = node1.asDict();
+    this.healer = new ZWaveHealer(this, config);
+
+    if (port.tcp) {
+      // OpenZWave can only talk to serial devices, so we talk to network
+      // attached controllers through a pseudo-terminal.
+      this.tcpBridge = new ZWaveTcpBridge(port.tcp.host, port.tcp.port,
+                                          path.join(logDir, 'zwave-tcp-pty'));
+      this.zwavePath = this.tcpBridge.ptyPath;
+      this.zwaveConnected = false;
+      this.tcpBridge.on('connected', this.tcpConnected.bind(this));
+      this.tcpBridge.on('disconnected', this.tcpDisconnected.bind(this));
+      this.tcpBridge.start();
+    } else {
+      this.zwaveConnected = false;
+      this.connectZWave(port);
     }
-    return dict;
   }
 
   dump() {
@@ -173,21 +233,103 @@ class ZWaveAdapter extends Adapter {
     console.log('----');
   }
 
-  controllerCommand(nodeId, retVal, state, msg) {
-    console.log('Controller Command feedback: %s node%d retVal:%d ' +
-                'state:%d', msg, nodeId, retVal, state);
+  cancelControllerCommand() {
+    if (this.pairing) {
+      this.cancelPairing();
+    } else if (this.removing) {
+      this.cancelRemoveThing();
+    } else if (this.replacingNodeId !== null) {
+      this.cancelReplaceFailedNode();
+    } else {
+      console.log('Cancelling controller command');
+      this.zwave.cancelControllerCommand();
+    }
+  }
+
+  controllerCommand(nodeId, state, error, msg, command) {
+    const stateStr = CONTROLLER_STATE_STR[state] || `Unknown ${state}`;
+    console.log('Controller Command feedback: %s node%d state: %s ' +
+                'error: %s command: %s', msg, nodeId, stateStr,
+                CONTROLLER_ERROR_STR[error] || error,
+                CONTROLLER_COMMAND_STR[command] || command);
+    this.controllerState = stateStr;
+    this.healer.controllerCommand(state, command);
+    switch (command) {
+      case CONTROLLER_COMMAND.ADD_DEVICE:
+        this.addDeviceFeedback(nodeId, state, error);
+        break;
+      case CONTROLLER_COMMAND.REMOVE_DEVICE:
+        this.removeDeviceFeedback(nodeId, state, error);
+        break;
+      case CONTROLLER_COMMAND.REMOVE_FAILED_NODE:
+        this.removeFailedNodeFeedback(state);
+        break;
+      case CONTROLLER_COMMAND.REPLACE_FAILED_NODE:
+        this.replaceFailedNodeFeedback(state);
+        break;
+    }
+    this.updateControllerProperties();
+  }
+
+  /**
+   * @method connectZWave
+   *
+   * Connects OpenZWave to the dongle on `port`. This is called when the
+   * adapter is created, and again by the supervisor when the dongle comes
+   * back after a failure.
+   */
+  connectZWave(port) {
+    if (this.homeId) {
+      // The nodes we already know about will be reported again.
+      this.reconnecting = true;
+    }
+    this.port = port;
+    if (this.tcpBridge) {
+      // If the socket is down, then we'll connect when it comes back.
+      if (this.tcpBridge.connected) {
+        this.tcpConnected();
+      }
+      return;
+    }
+    this.zwavePath = port.path;
+    this.zwave.connect(this.zwavePath);
+    this.zwaveConnected = true;
+  }
+
+  disconnectZWave() {
+    if (this.zwaveConnected) {
+      this.zwave.disconnect(this.zwavePath);
+      this.zwaveConnected = false;
+    }
   }
 
   driverReady(homeId) {
     console.log('Driver Ready: HomeId:', homeId.toString(16));
+    if (this.homeId) {
+      // The driver was restarted after a failure.
+      if (homeId === this.homeId) {
+        this.setNodesConnected(true);
+      } else {
+        // The supervisor disconnects and keeps looking for our dongle.
+        console.warn('Expected HomeId', this.homeId.toString(16),
+                     '- not restoring devices');
+      }
+      return;
+    }
+    this.homeId = homeId;
     this.id = `zwave-${homeId.toString(16)}`;
+    if (this.identities.setHomeId(homeId.toString(16))) {
+      console.warn('HomeId changed from',
+                   this.identities.previousHomeId, 'to',
+                   homeId.toString(16), '- the dongle was replaced or reset');
+    }
 
     this.manager.addAdapter(this);
   }
 
   driverFailed() {
     console.log('failed to start driver');
-    this.zwave.disconnect(this.port.path);
+    this.disconnectZWave();
   }
 
   handleDeviceAdded(node) {
@@ -196,10 +338,22 @@ class ZWaveAdapter extends Adapter {
     }
     delete this.nodesBeingAdded[node.zwInfo.nodeId];
 
-    if (node.nodeId > 1) {
-      zwaveClassifier.classify(node);
-      super.handleDeviceAdded(node);
+    // The node needs its final id before it's classified, since overrides
+    // can be for a particular device id.
+    this.resolveIdentity(node);
+    zwaveClassifier.classify(node);
+    // This is done once the node is classified, since that's where most
+    // names are generated.
+    this.syncNodeInfo(node);
+    super.handleDeviceAdded(node);
+    if (!node.connected) {
+      // The node died (or went quiet) before it was added.
+      node.connectedNotify(false);
     }
+    if (node.isController) {
+      this.controllerNode = node;
+    }
+    this.updateControllerProperties();
   }
 
   handleDeviceRemoved(node) {
@@ -208,20 +362,292 @@ class ZWaveAdapter extends Adapter {
     }
     delete this.nodes[node.zwInfo.nodeId];
     delete this.nodesBeingAdded[node.zwInfo.nodeId];
+    node.stopTimers();
+    this.identities.forget(node);
+    if (node === this.controllerNode) {
+      this.controllerNode = null;
+    }
+    super.handleDeviceRemoved(node);
+    this.updateControllerProperties();
+  }
+
+  /**
+   * @method handleDeviceSaved
+   *
+   * Called when a Thing is saved in the gateway, and for each saved Thing
+   * when the adapter starts up. The node may not have been added yet, in
+   * which case it's synced when it is.
+   */
+  handleDeviceSaved(deviceId, device) {
+    this.savedDevices[deviceId] = device;
+    if (deviceId.startsWith('zwave-')) {
+      this.identities.rememberTitle(deviceId, device.title);
+    }
+    const node = this.getDevice(deviceId);
+    if (node) {
+      this.syncNodeInfo(node);
+    }
+  }
+
+  /**
+   * @method syncNodeInfo
+   *
+   * Once a Thing has been saved, the gateway's title (and location, if the
+   * gateway supplies one) takes precedence over the name and location
+   * stored in the node, so they're written to the node whenever they
+   * differ. Until then, the name stored in the node is used. A new Thing
+   * is saved with the name which we generated for it (see nodeNaming),
+   * (see nodeNaming and the classifier), which isn't written to a node
+   * which doesn't have a name.
+   */
+  syncNodeInfo(node) {
+    const device = this.savedDevices[node.id];
+    if (!device) {
+      return;
+    }
+    const zwInfo = node.zwInfo;
+    const title = device.title;
+    const generated = !zwInfo.name && title === node.name;
+    if (title && title !== zwInfo.name && !generated) {
+      console.log(`node${zwInfo.nodeId}: setting name to "${title}"`,
+                  `(was "${zwInfo.name || ''}")`);
+      this.zwave.setNodeName(zwInfo.nodeId, title);
+      zwInfo.name = title;
+    }
+    if (title) {
+      node.name = title;
+      node.setTitle(title);
+    }
+    const location = device.location;
+    if (typeof location === 'string' && location !== zwInfo.location) {
+      console.log(`node${zwInfo.nodeId}: setting location to "${location}"`,
+                  `(was "${zwInfo.location || ''}")`);
+      this.zwave.setNodeLocation(zwInfo.nodeId, location);
+      zwInfo.location = location;
+    }
+  }
+
+  /**
+   * @method resolveIdentity
+   *
+   * Called before a node is added to the gateway. If the node is a device
+   * which was included before (or which the user said replaces another
+   * one), then it takes over the old Thing, provided that the Thing isn't
+   * being used by another node. It also gets the Thing's title back,
+   * which is remembered in the identities file since the Thing is
+   * usually no longer saved in the gateway.
+   */
+  resolveIdentity(node) {
+    const thingId = this.identities.lookup(node);
+    if (thingId && thingId != node.id && !this.isThingInUse(thingId)) {
+      console.log(`node${node.nodeId}: using Thing ${thingId}`,
+                  `(instead of ${node.id})`);
+      this.takeOverThing(node, thingId);
+    }
+    if (this.ready) {
+      this.identities.remember(node);
+    }
+  }
+
+  takeOverThing(node, thingId) {
+    node.id = thingId;
+    const title = this.identities.titles[thingId];
+    if (title) {
+      node.setTitle(title);
+    }
+  }
+
+  // Called once the network has been scanned, which is when we know
+  // which Thing each node ended up with.
+  rememberIdentities() {
+    for (const nodeId in this.nodes) {
+      const node = this.nodes[nodeId];
+      if (node.classified) {
+        this.identities.remember(node);
+      }
+    }
+  }
+
+  isThingInUse(thingId) {
+    if (this.getDevice(thingId)) {
+      return true;
+    }
+    return Object.values(this.nodes).some((node) => node.id == thingId);
+  }
+
+  /**
+   * @method planMigration
+   *
+   * When the HomeID has changed, works out which of the Things from the
+   * previous dongle (which are still saved in the gateway) can be given to
+   * the nodes on this one. Nodes are matched by serial number or, where
+   * there's only one candidate either way, by make and model.
+   *
+   * @returns {Object} {previousHomeId, matches: [{node, thingId}],
+   *                   unmatched: [thingId]} or undefined if the HomeID
+   *                   hasn't changed.
+   */
+  planMigration() {
+    const previousHomeId = this.identities.previousHomeId;
+    if (!previousHomeId) {
+      return;
+    }
+    const prefix = `zwave-${previousHomeId}-`;
+    const oldThingIds = Object.keys(this.savedDevices).filter((thingId) => {
+      return thingId.startsWith(prefix) && !this.isThingInUse(thingId);
+    });
+    const nodes = Object.values(this.nodes).filter((node) => {
+      return node.classified && !node.isController &&
+             node.id == node.originalId;
+    });
+
+    const matches = [];
+    const unmatchedNodes = [];
+    for (const node of nodes) {
+      const thingId = this.identities.lookup(node);
+      if (oldThingIds.includes(thingId)) {
+        matches.push({node, thingId});
+        oldThingIds.splice(oldThingIds.indexOf(thingId), 1);
+      } else {
+        unmatchedNodes.push(node);
+      }
+    }
+
+    const products = this.identities.products;
+    for (const node of unmatchedNodes) {
+      const productKey = ZWaveIdentities.productKey(node);
+      if (!productKey) {
+        continue;
+      }
+      const thingIds = oldThingIds.filter((thingId) => {
+        return products[thingId] == productKey;
+      });
+      const sameProduct = unmatchedNodes.filter((other) => {
+        return ZWaveIdentities.productKey(other) == productKey;
+      });
+      if (thingIds.length == 1 && sameProduct.length == 1) {
+        matches.push({node, thingId: thingIds[0]});
+        oldThingIds.splice(oldThingIds.indexOf(thingIds[0]), 1);
+      }
+    }
+    return {previousHomeId, matches, unmatched: oldThingIds};
+  }
+
+  migrationStatus() {
+    const plan = this.planMigration();
+    if (!plan) {
+      return 'Not needed';
+    }
+    let status = `${plan.matches.length} to migrate`;
+    if (plan.unmatched.length > 0) {
+      status += `, unmatched: ${plan.unmatched.join(', ')}`;
+    }
+    return status;
+  }
+
+  logMigration() {
+    const plan = this.planMigration();
+    if (!plan) {
+      return;
+    }
+    console.log('Migration from HomeId', plan.previousHomeId);
+    for (const match of plan.matches) {
+      console.log(`  node${match.node.nodeId} (${match.node.zwInfo.product})`,
+                  'matches', match.thingId);
+    }
+    for (const thingId of plan.unmatched) {
+      const title = this.savedDevices[thingId].title;
+      console.log(`  ${thingId} (${title}) has no matching device -`,
+                  'include the device, or remove the Thing');
+    }
+  }
+
+  /**
+   * @method migrateDevices
+   *
+   * Gives the Things from the previous dongle to the matching nodes (see
+   * planMigration). Once there are no Things left to migrate, we stop
+   * offering the migration.
+   */
+  migrateDevices() {
+    const plan = this.planMigration();
+    if (!plan) {
+      console.log('Migrate devices: the HomeId hasn\'t changed');
+      return;
+    }
+    this.logMigration();
+    for (const match of plan.matches) {
+      this.replaceDevice(match.node.nodeId, match.thingId);
+    }
+    if (plan.unmatched.length == 0) {
+      this.identities.clearPreviousHomeId();
+    }
+    this.updateControllerProperties();
+  }
+
+  /**
+   * @method replaceDevice
+   *
+   * Gives node `nodeId` the Thing with the id `thingId`, i.e. the Thing of
+   * a device which it replaces, so that the name and rules which use that
+   * Thing now apply to this node.
+   */
+  replaceDevice(nodeId, thingId) {
+    const node = this.nodes[nodeId];
+    if (!node || node.isController) {
+      return Promise.reject(`Unknown node ${nodeId}`);
+    }
+    if (thingId == node.id) {
+      return Promise.resolve();
+    }
+    if (this.isThingInUse(thingId)) {
+      return Promise.reject(`${thingId} is still in use - remove it first`);
+    }
+    console.log(`node${node.nodeId}: replacing ${thingId} (was ${node.id})`);
     super.handleDeviceRemoved(node);
+    this.takeOverThing(node, thingId);
+    this.identities.remember(node);
+    super.handleDeviceAdded(node);
+    if (!node.connected) {
+      node.connectedNotify(false);
+    }
+    this.syncNodeInfo(node);
+    return Promise.resolve();
+  }
+
+  healNetwork() {
+    this.healer.healNetwork();
+  }
+
+  healNode(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node || node.isController) {
+      return Promise.reject(`Unknown node ${nodeId}`);
+    }
+    if (!this.healer.healNode(nodeId)) {
+      return Promise.reject('Cannot heal while adding or removing a device');
+    }
+    // Show the node on the controller, so that the result of the heal can be
+    // seen once it finishes.
+    return this.showDiagnostics(nodeId);
   }
 
   scanComplete() {
+    this.reconnecting = false;
+
     // Add any nodes which otherwise aren't responding. This typically
     // corresponds to devices which are sleeping and only check in periodically.
     for (const nodeId in this.nodesBeingAdded) {
       const node = this.nodesBeingAdded[nodeId];
-      if (node.lastStatus !== 'dead') {
+      if (!node.dead) {
         this.handleDeviceAdded(node);
       }
     }
     console.log('Scan complete');
     this.ready = true;
+    this.rememberIdentities();
+    this.logMigration();
+    this.startStatistics();
     this.dump();
   }
 
@@ -230,6 +656,21 @@ class ZWaveAdapter extends Adapter {
       console.log('node%d added', nodeId);
     }
 
+    if (this.reconnecting && this.nodes[nodeId] &&
+        this.nodes[nodeId].classified) {
+      // We already know about this node from before the driver was
+      // restarted, so keep using the existing Thing.
+      this.nodes[nodeId].lastStatus = 'added';
+      return;
+    }
+
+    if (nodeId === this.replacingNodeId) {
+      // The replacement device has been included. Since it has the same
+      // nodeId, it will be added using the same Thing as the failed one.
+      console.log(`node${nodeId}: replaced`);
+      this.finishReplacing();
+    }
+
     // Pass in the empty string as a name here. Once the node is initialized
     // (i.e. nodeReady) then if the user has assigned a name, we'll get
     // that name.
@@ -237,6 +678,11 @@ class ZWaveAdapter extends Adapter {
     this.nodes[nodeId] = node;
     this.nodesBeingAdded[nodeId] = node;
     node.lastStatus = 'added';
+    this.updateControllerProperties();
+
+    if (this.pairing) {
+      this.watchInterview(nodeId);
+    }
   }
 
   nodeNaming(nodeId, nodeInfo) {
@@ -251,6 +697,7 @@ class ZWaveAdapter extends Adapter {
       zwInfo.productType = nodeInfo.producttype;
       zwInfo.productId = nodeInfo.productid;
       zwInfo.type = nodeInfo.type;
+      zwInfo.name = nodeInfo.name;
 
       if (zwInfo.product.startsWith('Unknown: ')) {
         zwInfo.product = `${zwInfo.manufacturer} ${zwInfo.product}`;
@@ -266,6 +713,9 @@ class ZWaveAdapter extends Adapter {
         // We don't have anything else, use the id
         node.name = node.id;
       }
+      if (!this.nodesBeingAdded[nodeId]) {
+        this.syncNodeInfo(node);
+      }
 
       if (DEBUG_flow || !node.named) {
         console.log(
@@ -303,21 +753,41 @@ class ZWaveAdapter extends Adapter {
       console.log('node%d removed', nodeId);
     }
 
-    const node = this.nodes[nodeId];
-    if (node) {
-      if (this.removeTimeout !== null) {
-        clearTimeout(this.removeTimeout);
-        this.removeTimeout = null;
+    if (nodeId === this.replacingNodeId) {
+      // OpenZWave removes the failed node before adding the replacement.
+      // We want to keep the Thing, so we only forget about the old node.
+      if (this.nodes[nodeId]) {
+        this.nodes[nodeId].stopTimers();
       }
+      delete this.nodes[nodeId];
+      delete this.nodesBeingAdded[nodeId];
+      return;
+    }
 
+    const node = this.nodes[nodeId];
+    if (node) {
       node.lastStatus = 'removed';
       this.handleDeviceRemoved(node);
-      this.removing = false;
+      if (this.removing && this.removingDevice &&
+          node !== this.removingDevice) {
+        // Exclusion removes whichever device had its button pressed,
+        // which isn't necessarily the one the user asked to remove.
+        const device = this.removingDevice;
+        this.unpairingPrompt(`Removed ${node.name} (node ${nodeId}) instead ` +
+                             `of ${device.name}, which is still paired. ` +
+                             `To remove ${device.name}, remove it again ` +
+                             'and press its exclusion button.');
+      }
+      this.finishRemoving();
     }
   }
 
   nodeEvent(nodeId, data) {
     console.log('node%d event: Basic set %d', nodeId, data);
+    const node = this.nodes[nodeId];
+    if (node) {
+      node.heardFrom();
+    }
   }
 
   // eslint-disable-next-line no-unused-vars
@@ -327,6 +797,15 @@ class ZWaveAdapter extends Adapter {
       node.lastStatus = 'ready';
       node.ready = true;
 
+      if (this.interviews[nodeId]) {
+        this.stopWatchingInterview(nodeId);
+        let msg = `Added ${node.name || `node ${nodeId}`}`;
+        if (this.config.continuousInclusion) {
+          msg += ` (${this.pairedNodeIds.length} added so far)`;
+        }
+        this.pairingPrompt(msg);
+      }
+
       if (nodeId in this.nodesBeingAdded) {
         this.handleDeviceAdded(node);
       }
@@ -381,7 +860,6 @@ class ZWaveAdapter extends Adapter {
       case 4:
         console.log('node%d: node sleep', nodeId);
         lastStatus = 'sleeping';
-        node.canSleep = true;
         break;
       case 5:
         console.log('node%d: node dead', nodeId);
@@ -393,18 +871,160 @@ class ZWaveAdapter extends Adapter {
         break;
     }
     if (node && lastStatus) {
-      node.lastStatus = lastStatus;
+      node.notificationReceived(lastStatus);
     }
   }
 
   oneLineSummary() {
+    if (this.tcpBridge) {
+      return `Controller: ${this.id} TCP: ${this.tcpBridge.address()} ${
+        this.tcpBridge.connected ? 'connected' : 'disconnected'}`;
+    }
     return `Controller: ${this.id} Path: ${this.port.path}`;
   }
 
+  /**
+   * @method setNodesConnected
+   *
+   * Updates the connected state of all of the nodes which have been
+   * added to the gateway.
+   */
+  setNodesConnected(connected) {
+    for (const nodeId in this.nodes) {
+      const node = this.nodes[nodeId];
+      if (!this.nodesBeingAdded[nodeId]) {
+        // Nodes which were already dead (or overdue) stay disconnected.
+        node.setConnected(connected && !node.dead &&
+                          !node.wakeUpOverdue);
+      }
+    }
+  }
+
+  /**
+   * @method showDiagnostics
+   *
+   * Shows when node `nodeId` was last heard from, and its communication
+   * statistics, in the controller's properties.
+   */
+  showDiagnostics(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node || node.isController) {
+      return Promise.reject(`Unknown node ${nodeId}`);
+    }
+    this.diagnosticsNodeId = nodeId;
+    this.refreshStatistics();
+    return Promise.resolve();
+  }
+
+  // Called by a node when something which its diagnostics show changes.
+  diagnosticsChanged(node) {
+    if (node.nodeId === this.diagnosticsNodeId) {
+      this.updateControllerProperties();
+    }
+  }
+
+  /**
+   * @method startStatistics
+   *
+   * Starts refreshing the communication statistics of the node which the
+   * controller shows the diagnostics of every statisticsInterval seconds
+   * (0 only fetches them when the node is chosen).
+   */
+  startStatistics() {
+    if (this.statisticsTimer) {
+      return;
+    }
+    let interval = this.config.statisticsInterval;
+    if (typeof interval !== 'number') {
+      interval = STATISTICS_INTERVAL_DEFAULT;
+    }
+    if (interval <= 0) {
+      return;
+    }
+    this.refreshStatistics();
+    this.statisticsTimer = setInterval(this.refreshStatistics.bind(this),
+                                       interval * 1000);
+  }
+
+  refreshStatistics() {
+    const node = this.nodes[this.diagnosticsNodeId];
+    if (node) {
+      this.statistics = this.zwave.getNodeStatistics(node.nodeId);
+      this.updateControllerProperties();
+    }
+  }
+
+  softReset() {
+    console.log('Soft resetting controller');
+    this.zwave.softReset();
+  }
+
+  setPin(_deviceId, _pin) {
+    // S2 inclusion needs the device's DSK to be passed to the controller,
+    // but OpenZWave 1.6 only supports S0 security, so there's nothing we
+    // can do with a PIN.
+    return Promise.reject('Z-Wave S2 (DSK PIN entry) is not supported');
+  }
+
   sceneEvent(nodeId, sceneId) {
     console.log('scene event: nodeId:', nodeId, 'sceneId', sceneId);
   }
 
+  /**
+   * @method updateControllerProperties
+   *
+   * Updates the properties of the Thing which represents the controller
+   * (node 1) to reflect the current state of the controller.
+   */
+  updateControllerProperties() {
+    const node = this.controllerNode;
+    if (!node) {
+      return;
+    }
+    const values = {
+      homeId: this.homeId ? `0x${this.homeId.toString(16)}` : '',
+      libraryVersion: this.zwave.getLibraryVersion(),
+      controllerType: this.zwave.getLibraryTypeName(),
+      nodeCount: Object.keys(this.nodes).length,
+      controllerState: this.controllerState,
+      healStatus: this.healer.status(),
+      migration: this.migrationStatus(),
+    };
+    Object.assign(values, this.diagnostics());
+    for (const name in values) {
+      const property = node.properties.get(name);
+      if (property && property.value !== values[name]) {
+        node.setPropertyValue(property, values[name]);
+      }
+    }
+  }
+
+  // Returns the values of the controller's diagnostics properties.
+  diagnostics() {
+    const node = this.nodes[this.diagnosticsNodeId];
+    if (!node) {
+      return {
+        diagnosticsNode: '',
+        lastSeen: '',
+        framesSent: 0,
+        framesReceived: 0,
+        failedTransmissions: 0,
+        averageRoundTrip: 0,
+        healResult: '',
+      };
+    }
+    const stats = this.statistics || {};
+    return {
+      diagnosticsNode: `Node ${node.nodeId} (${node.getTitle()})`,
+      lastSeen: node.lastSeen ? node.lastSeen.toISOString() : '',
+      framesSent: stats.sentCnt || 0,
+      framesReceived: stats.receivedCnt || 0,
+      failedTransmissions: stats.sentFailed || 0,
+      averageRoundTrip: stats.averageRequestRTT || 0,
+      healResult: node.healResult || '',
+    };
+  }
+
   valueAdded(nodeId, comClass, value) {
     const node = this.nodes[nodeId];
     if (node) {
@@ -426,12 +1046,31 @@ class ZWaveAdapter extends Adapter {
     }
   }
 
+  tcpConnected() {
+    // When the TCP connection is re-established, socat creates a new
+    // pseudo-terminal, so OpenZWave needs to reopen it.
+    this.disconnectZWave();
+    if (this.homeId) {
+      // The nodes we already know about will be reported again.
+      this.reconnecting = true;
+    }
+    console.log('Connecting to ZWave controller @', this.port.path);
+    this.zwave.connect(this.zwavePath);
+    this.zwaveConnected = true;
+  }
+
+  tcpDisconnected() {
+    console.log('Lost connection to ZWave controller @', this.port.path);
+    // The devices come back once the driver is ready again.
+    this.setNodesConnected(false);
+  }
+
   startPairing(timeoutSeconds) {
     if (this.pairing) {
       return;
     }
 
-    if (this.removing) {
+    if (this.removing || this.replacingNodeId !== null) {
       const msg = 'Cannot pair while attempting to remove a device.';
       console.log(msg);
       if (this.sendPairingPrompt) {
@@ -441,11 +1080,14 @@ class ZWaveAdapter extends Adapter {
       return;
     }
 
+    this.healer.stop('adding a device');
+
     const msg = 'Press the inclusion button on the ZWave device to add';
     console.log('===============================================');
     console.log(msg);
     console.log('===============================================');
     this.pairing = true;
+    this.pairedNodeIds = [];
     if (this.sendPairingPrompt) {
       this.sendPairingPrompt(msg);
     }
@@ -458,11 +1100,34 @@ class ZWaveAdapter extends Adapter {
     );
   }
 
+  /**
+   * @method rearmInclusion
+   *
+   * Used with the continuousInclusion option to put the controller back
+   * into inclusion mode after each device is added, so that several
+   * devices can be added in a single pairing session.
+   */
+  rearmInclusion() {
+    this.rearmTimeout = null;
+    if (!this.pairing || this.removing) {
+      return;
+    }
+    this.pairingPrompt(`${this.pairedNodeIds.length} device(s) added - ` +
+                       'press the inclusion button on the next ZWave ' +
+                       'device to add');
+    const doSecurity = true;  // Will do secure inclusion, if available
+    this.zwave.addNode(doSecurity);
+  }
+
   cancelPairing() {
     if (this.pairingTimeout !== null) {
       clearTimeout(this.pairingTimeout);
       this.pairingTimeout = null;
     }
+    if (this.rearmTimeout !== null) {
+      clearTimeout(this.rearmTimeout);
+      this.rearmTimeout = null;
+    }
 
     if (this.pairing) {
       console.log('Cancelling pairing mode');
@@ -471,6 +1136,101 @@ class ZWaveAdapter extends Adapter {
     }
   }
 
+  pairingPrompt(msg) {
+    console.log(msg);
+    if (this.pairing && this.sendPairingPrompt) {
+      this.sendPairingPrompt(msg);
+    }
+  }
+
+  // Translates the controller command feedback from addNode into
+  // something which makes sense to the user.
+  addDeviceFeedback(nodeId, state, error) {
+    if (!this.pairing) {
+      return;
+    }
+    switch (state) {
+      case CONTROLLER_STATE.WAITING:
+        this.pairingPrompt('Waiting - press the inclusion button on the ' +
+                           'ZWave device to add');
+        break;
+      case CONTROLLER_STATE.IN_PROGRESS:
+        if (nodeId > 0) {
+          this.pairingPrompt(`Adding device as node ${nodeId}`);
+        } else {
+          this.pairingPrompt('Device found');
+        }
+        break;
+      case CONTROLLER_STATE.COMPLETED:
+        this.pairedNodeIds.push(nodeId);
+        this.pairingPrompt(`Device included as node ${nodeId} - reading ` +
+                           'its details, please wait');
+        if (this.config.continuousInclusion) {
+          this.rearmTimeout = setTimeout(this.rearmInclusion.bind(this),
+                                         CONTINUOUS_INCLUSION_DELAY);
+        }
+        break;
+      case CONTROLLER_STATE.FAILED:
+        this.pairingPrompt('Adding the device failed. Exclude it (or ' +
+                           'factory reset it) and try again.');
+        break;
+      case CONTROLLER_STATE.ERROR:
+        this.pairingPrompt('Adding the device failed: ' +
+                           `${CONTROLLER_ERROR_STR[error] || error}`);
+        break;
+    }
+  }
+
+  /**
+   * @method watchInterview
+   *
+   * Reports the progress of OpenZWave's interview of a newly included
+   * node until the node is ready. This can take a while, especially for
+   * battery powered devices which go back to sleep.
+   */
+  watchInterview(nodeId) {
+    if (this.interviews[nodeId]) {
+      return;
+    }
+    const interview = {
+      stage: null,
+      startTime: Date.now(),
+    };
+    interview.timer = setInterval(() => {
+      const node = this.nodes[nodeId];
+      if (!node ||
+          Date.now() - interview.startTime > INTERVIEW_TIMEOUT) {
+        this.stopWatchingInterview(nodeId);
+        return;
+      }
+      if (node.lastStatus == 'sleeping') {
+        if (interview.stage != 'sleeping') {
+          interview.stage = 'sleeping';
+          this.pairingPrompt(`Node ${nodeId} has gone to sleep - wake it ` +
+                             'up to finish adding it');
+        }
+        return;
+      }
+      const stage = this.zwave.getNodeQueryStage(nodeId);
+      if (stage != interview.stage) {
+        interview.stage = stage;
+        // Turn i.e. ManufacturerSpecific1 into Manufacturer Specific 1
+        const stageStr = stage.replace(/([a-z])([A-Z0-9])/g, '$1 $2');
+        this.pairingPrompt(`Reading the details of node ${nodeId}: ` +
+                           `${stageStr}`);
+      }
+    }, INTERVIEW_POLL_INTERVAL);
+    this.interviews[nodeId] = interview;
+  }
+
+  stopWatchingInterview(nodeId) {
+    const interview = this.interviews[nodeId];
+    if (interview) {
+      clearInterval(interview.timer);
+      delete this.interviews[nodeId];
+    }
+  }
+
   /**
    * Remove a device.
    *
@@ -479,10 +1239,26 @@ class ZWaveAdapter extends Adapter {
    */
   removeThing(device) {
     if (this.removing) {
+      if (device === this.removingDevice && !this.removingFailed) {
+        // Asking to remove the same device again while waiting for the
+        // exclusion button confirms that the device is broken.
+        console.log('Removal of', device.id, 'confirmed - removing it as',
+                    'a failed node');
+        this.zwave.cancelControllerCommand();
+        this.removeFailedNode(device);
+      }
       return;
     }
 
-    if (this.pairing) {
+    if (device === this.controllerNode) {
+      // The controller can't be excluded from its own network, so just
+      // forget about the Thing. It will come back when the add-on is
+      // restarted.
+      super.handleDeviceRemoved(device);
+      return;
+    }
+
+    if (this.pairing || this.replacingNodeId !== null) {
       const msg = 'Cannot remove thing while pairing.';
       console.log(msg);
       if (this.sendUnpairingPrompt) {
@@ -492,41 +1268,292 @@ class ZWaveAdapter extends Adapter {
       return;
     }
 
+    this.healer.stop('removing a device');
+
+    if (device.dead) {
+      // A dead device can't have its exclusion button pressed.
+      this.removeFailedNode(device);
+      return;
+    }
+
     // ZWave can't really remove a particular thing.
-    const msg = 'Press the exclusion button on the ZWave device to remove';
+    const msg = 'Press the exclusion button on the ZWave device to remove. ' +
+                'If the device is broken, remove it again to remove it as ' +
+                'a failed device.';
     console.log('==================================================');
     console.log(msg);
     console.log('==================================================');
     this.removing = true;
+    this.removingDevice = device;
     if (this.sendUnpairingPrompt) {
       this.sendUnpairingPrompt(msg, null, device);
     }
 
     this.zwave.removeNode();
 
-    // Cancel the removal after 60 seconds. If the node is properly removed,
+    // Cancel the removal after 30 seconds. If the node is properly removed,
     // the timeout will be cancelled in nodeRemoved().
-    this.removeTimeout = setTimeout(this.cancelRemoveThing.bind(this), 30000);
+    this.removeTimeout = setTimeout(this.removeTimedOut.bind(this), 30000);
   }
 
-  cancelRemoveThing() {
+  unpairingPrompt(msg) {
+    console.log(msg);
+    if (this.removing && this.sendUnpairingPrompt) {
+      this.sendUnpairingPrompt(msg, null, this.removingDevice);
+    }
+  }
+
+  // Translates the controller command feedback from removeNode into
+  // something which makes sense to the user.
+  removeDeviceFeedback(nodeId, state, error) {
+    if (!this.removing || this.removingFailed) {
+      return;
+    }
+    switch (state) {
+      case CONTROLLER_STATE.WAITING:
+        this.unpairingPrompt('Waiting - press the exclusion button on the ' +
+                             'ZWave device to remove');
+        break;
+
+      case CONTROLLER_STATE.IN_PROGRESS:
+        if (nodeId > 0) {
+          this.excludedNodeId = nodeId;
+        }
+        this.unpairingPrompt('Device found - removing it');
+        break;
+
+      case CONTROLLER_STATE.COMPLETED: {
+        const excludedNodeId = nodeId || this.excludedNodeId;
+        if (this.nodes[excludedNodeId]) {
+          // OpenZWave will report the node as removed too, but we may get
+          // the feedback first.
+          this.nodeRemoved(excludedNodeId);
+          return;
+        }
+        // Devices can be excluded from any controller, which is how
+        // devices from another network get reset.
+        const device = this.removingDevice;
+        this.unpairingPrompt('The device which was excluded wasn\'t part ' +
+                             'of this network, and has been reset so that ' +
+                             `it can be added. ${device.name} is still ` +
+                             'paired.');
+        this.finishRemoving();
+        break;
+      }
+
+      case CONTROLLER_STATE.FAILED:
+        this.unpairingPrompt('Removing the device failed - please try again');
+        this.finishRemoving();
+        break;
+
+      case CONTROLLER_STATE.ERROR:
+        this.unpairingPrompt('Removing the device failed: ' +
+                             `${CONTROLLER_ERROR_STR[error] || error}`);
+        this.finishRemoving();
+        break;
+    }
+  }
+
+  removeTimedOut() {
+    if (this.removingFailed) {
+      this.unpairingPrompt('The controller didn\'t respond - the failed ' +
+                           'device wasn\'t removed');
+    } else {
+      this.unpairingPrompt('No device was excluded - the exclusion button ' +
+                           'wasn\'t pressed in time');
+    }
+    this.cancelRemoveThing();
+  }
+
+  /**
+   * @method removeFailedNode
+   *
+   * Removes a device which is no longer responding, using the
+   * controller's remove failed node command. The controller will only
+   * do this if it also thinks that the node has failed.
+   */
+  removeFailedNode(device) {
+    const msg = `Removing failed device ${device.name}`;
+    console.log(msg);
+    this.removing = true;
+    this.removingDevice = device;
+    this.removingFailed = true;
+    if (this.sendUnpairingPrompt) {
+      this.sendUnpairingPrompt(msg, null, device);
+    }
+
+    this.zwave.removeFailedNode(device.nodeId);
+
     if (this.removeTimeout !== null) {
       clearTimeout(this.removeTimeout);
-      this.removeTimeout = null;
+    }
+    this.removeTimeout = setTimeout(this.removeTimedOut.bind(this), 30000);
+  }
+
+  removeFailedNodeFeedback(state) {
+    const device = this.removingDevice;
+    if (!this.removingFailed || !device) {
+      return;
+    }
+
+    let msg;
+    switch (state) {
+      case CONTROLLER_STATE.COMPLETED:
+        console.log(`node${device.nodeId}: removed failed node`);
+        // OpenZWave normally reports the node as removed, but make sure
+        // that we've cleaned up in case it didn't.
+        if (this.nodes[device.nodeId] === device) {
+          device.lastStatus = 'removed';
+          this.handleDeviceRemoved(device);
+        }
+        this.finishRemoving();
+        return;
+
+      case CONTROLLER_STATE.NODE_OK:
+        msg = 'The device is still responding, so it can\'t be removed as ' +
+              'a failed device. Use its exclusion button instead.';
+        break;
+
+      case CONTROLLER_STATE.ERROR:
+      case CONTROLLER_STATE.FAILED:
+        msg = 'Unable to remove the failed device.';
+        break;
+
+      default:
+        return;
     }
 
+    console.log(msg);
+    if (this.sendUnpairingPrompt) {
+      this.sendUnpairingPrompt(msg, null, device);
+    }
+    this.finishRemoving();
+  }
+
+  cancelRemoveThing() {
     if (this.removing) {
       console.log('Cancelling remove mode');
       this.zwave.cancelControllerCommand();
-      this.removing = false;
     }
+    this.finishRemoving();
+  }
+
+  finishRemoving() {
+    if (this.removeTimeout !== null) {
+      clearTimeout(this.removeTimeout);
+      this.removeTimeout = null;
+    }
+    this.removing = false;
+    this.removingDevice = null;
+    this.removingFailed = false;
+    this.excludedNodeId = 0;
+  }
+
+  /**
+   * @method replaceFailedNode
+   *
+   * Replaces a failed node with a new device, which is given the same
+   * nodeId. This means that the new device shows up using the same
+   * Thing as the failed one.
+   */
+  replaceFailedNode(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node || node.isController) {
+      console.log(`Cannot replace node${nodeId} - unknown node`);
+      return;
+    }
+    if (this.pairing || this.removing || this.replacingNodeId !== null) {
+      console.log(`Cannot replace node${nodeId} while adding or removing`,
+                  'a device');
+      return;
+    }
+
+    this.healer.stop('replacing a device');
+
+    console.log('==================================================');
+    console.log(`Replacing node${nodeId} - press the inclusion button on`,
+                'the replacement ZWave device');
+    console.log('==================================================');
+    this.replacingNodeId = nodeId;
+    this.zwave.replaceFailedNode(nodeId);
+
+    this.replaceTimeout =
+      setTimeout(this.cancelReplaceFailedNode.bind(this), 60000);
+  }
+
+  replaceFailedNodeFeedback(state) {
+    const nodeId = this.replacingNodeId;
+    if (nodeId === null) {
+      return;
+    }
+
+    switch (state) {
+      case CONTROLLER_STATE.WAITING:
+        console.log(`node${nodeId}: waiting for the replacement device`);
+        break;
+
+      case CONTROLLER_STATE.COMPLETED:
+        // We wait for OpenZWave to add the replacement before finishing.
+        console.log(`node${nodeId}: replacement device included`);
+        break;
+
+      case CONTROLLER_STATE.NODE_OK:
+        console.log(`node${nodeId}: still responding - not replacing it`);
+        this.finishReplacing();
+        break;
+
+      case CONTROLLER_STATE.ERROR:
+      case CONTROLLER_STATE.FAILED:
+        console.log(`node${nodeId}: unable to replace failed node`);
+        this.finishReplacing();
+        break;
+    }
+  }
+
+  cancelReplaceFailedNode() {
+    if (this.replacingNodeId !== null) {
+      console.log(`Cancelling replacement of node${this.replacingNodeId}`);
+      this.zwave.cancelControllerCommand();
+    }
+    this.finishReplacing();
+  }
+
+  finishReplacing() {
+    if (this.replaceTimeout !== null) {
+      clearTimeout(this.replaceTimeout);
+      this.replaceTimeout = null;
+    }
+    this.replacingNodeId = null;
   }
 
   unload() {
     // Wrap in setTimeout to resolve issues with disconnect() hanging.
     // See: https://github.com/OpenZWave/node-openzwave-shared/issues/182
+    if (this.supervisor) {
+      this.supervisor.stop();
+    }
+    this.healer.unload();
+    if (this.statisticsTimer) {
+      clearInterval(this.statisticsTimer);
+      this.statisticsTimer = null;
+    }
+    if (this.rearmTimeout !== null) {
+      clearTimeout(this.rearmTimeout);
+      this.rearmTimeout = null;
+    }
+    this.finishRemoving();
+    this.finishReplacing();
+    for (const nodeId in this.interviews) {
+      this.stopWatchingInterview(nodeId);
+    }
+    for (const nodeId in this.nodes) {
+      this.nodes[nodeId].stopTimers();
+    }
+    if (this.tcpBridge) {
+      this.tcpBridge.stop();
+    }
     setTimeout(() => {
-      this.zwave.disconnect(this.port.path);
+      this.disconnectZWave();
     }).ref();
 
     return super.unload();
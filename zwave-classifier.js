@@ -13,54 +13,26 @@
 const ZWaveProperty = require('./zwave-property');
 
 const {
+  BARRIER_OPERATOR_INDEX,
   CENTRAL_SCENE,
   COLOR_CAPABILITY,
   COLOR_INDEX,
   COMMAND_CLASS,
+  CONTROLLER_STATE_STR,
   GENERIC_TYPE,
   GENERIC_TYPE_STR,
+  SOUND_SWITCH_INDEX,
 } = require('./zwave-constants');
 
 const {
   DEBUG_classifier,
 } = require('./zwave-debug');
+const {matchingQuirks} = require('./zwave-quirks');
 const DEBUG = DEBUG_classifier;
 
 // See; http://wiki.micasaverde.com/index.php/ZWave_Command_Classes for a
 // complete list of command classes.
 
-const AEOTEC_MANUFACTURER_ID = '0x0086';
-const AEOTEC_ZW096_PRODUCT_ID = '0x0060'; // SmartPlug (Switch)
-const AEOTEC_ZW099_PRODUCT_ID = '0x0063'; // SmartPlug (Dimmer)
-const AEOTEC_ZW100_PRODUCT_ID = '0x0064'; // Multisensor 6
-const AEOTEC_ZW111_PRODUCT_ID = '0x006f'; // Nano Dimmer with metering
-const AEOTEC_ZW116_PRODUCT_ID = '0x0074'; // Nano Switch
-const AEOTEC_ZW130_PRODUCT_ID = '0x0082'; // WallMote Quad
-const AEOTEC_ZW132_PRODUCT_ID = '0x0084'; // Dual Nano Switch with metering
-const AEOTEC_ZW139_PRODUCT_ID = '0x008b'; // Nano Switch (End of Life)
-const AEOTEC_ZW140_PRODUCT_ID = '0x008c'; // Dual Nano Switch
-const AEOTEC_ZW141_PRODUCT_ID = '0x008d'; // Nano Shutter
-
-const ECOLINK_MANUFACTURER_ID = '0x014a';
-const ECOLINK_FLOOD_FREEZE_PRODUCT_ID = '0x0010';
-
-const FIRST_ALERT_MANUFACTURER_ID = '0x0138';
-const FIRST_ALERT_ZCOMBO_PRODUCT_ID = '0x0002';
-
-function nodeHasAeotecS1S2Mode(node) {
-  // These devices have an S1 and S2 input which can control the output(s).
-  // They also have config options which determine which type of external
-  // switch is connected to S1 and S2, and we expose these config options
-  // as properties.
-  return node.zwInfo.manufacturerId === AEOTEC_MANUFACTURER_ID &&
-         (node.zwInfo.productId === AEOTEC_ZW111_PRODUCT_ID ||
-          node.zwInfo.productId === AEOTEC_ZW116_PRODUCT_ID ||
-          node.zwInfo.productId === AEOTEC_ZW132_PRODUCT_ID ||
-          node.zwInfo.productId === AEOTEC_ZW139_PRODUCT_ID ||
-          node.zwInfo.productId === AEOTEC_ZW140_PRODUCT_ID ||
-          node.zwInfo.productId === AEOTEC_ZW141_PRODUCT_ID);
-}
-
 // From cpp/src/command_classes/SwitchMultilevel.cpp
 // The code uses "_data[5]+3" for the index.
 //
@@ -73,6 +45,10 @@ const ALARM_INDEX_HOME_SECURITY = 10;
 const ALARM_INDEX_TYPE_V1 = 512;
 const ALARM_INDEX_LEVEL_V1 = 513;
 
+// openzwave-shared only reports bits 0 - 6 of a bitset configuration
+// parameter (see parseConfigBitZwValue).
+const CONFIG_BITSET_MAX_BITS = 7;
+
 // The following come from:
 // SDS13713 Notification Command Class, list of assigned Notifications.xlsx
 // and also from
@@ -83,6 +59,7 @@ const NOTIFICATION_OVERHEAT = 4;
 const NOTIFICATION_WATER_LEAK = 5;
 const NOTIFICATION_ACCESS_CONTROL = 6;
 const NOTIFICATION_HOME_SECURITY = 7;
+const NOTIFICATION_SIREN = 14;
 const NOTIFICATION_COMBUSTIBLE_GAS = 18;
 
 const NOTIFICATION_SENSOR = {
@@ -202,9 +179,38 @@ const DOOR_LOCK_LOCKED = 0;
 
 // These constants come from the OpenZWave ValueIDIndexesDefines.def
 // Search for ValueID_Index_Meter
+const METER_INDEX_ELECTRIC_KWH = 0;
+const METER_INDEX_ELECTRIC_KVAH = 1;
 const METER_INDEX_ELECTRIC_INSTANT_POWER = 2;
 const METER_INDEX_ELECTRIC_INSTANT_VOLTAGE = 4;
 const METER_INDEX_ELECTRIC_INSTANT_CURRENT = 5;
+const METER_INDEX_ELECTRIC_POWER_FACTOR = 6;
+const METER_INDEX_EXPORTING = 256;
+const METER_INDEX_RESET = 257;
+
+// The other meter indexes are the meter type * 16 + the scale, so that
+// gas starts at 16 (cubic meters) and water at 32.
+const METER_INDEX_SCALES = 16;
+const METER_TYPE_GAS = 1;
+const METER_TYPE_WATER = 2;
+// The units are indexed by scale. Gas has no scale 2.
+const METER_VOLUME = {
+  [METER_TYPE_GAS]: {
+    name: 'gas',
+    label: 'Gas',
+    units: ['cubic meter', 'cubic foot'],
+  },
+  [METER_TYPE_WATER]: {
+    name: 'water',
+    label: 'Water',
+    units: ['cubic meter', 'cubic foot', 'US gallon'],
+  },
+};
+// Gas and water meters which don't know the volume report a pulse count.
+const METER_SCALE_PULSE_COUNT = 3;
+
+// This would be from MeterPulse.cpp, but it only has a single index.
+const METER_PULSE_INDEX_COUNT = 0;
 
 // This would be from SensorBinary.cpp, but it only has a single index.
 const SENSOR_BINARY_INDEX_SENSOR = 0;
@@ -229,6 +235,18 @@ const SWITCH_BINARY_INDEX_SWITCH = 0;
 // Note: These constants are specific to the OpenZWave library and not
 //       part of the ZWave specification.
 const SWITCH_MULTILEVEL_INDEX_LEVEL = 0;
+const SWITCH_MULTILEVEL_INDEX_BRIGHT = 1;
+const SWITCH_MULTILEVEL_INDEX_DIM = 2;
+
+// From the SDS14224 Z-Wave Plus v2 Device Type Specification. These
+// specific types of the Switch MultiLevel generic type control a motor
+// (i.e. blinds or a shutter) rather than a light.
+const SPECIFIC_TYPE_MOTOR_CONTROL = [
+  0x03,   // Multiposition Motor
+  0x05,   // Motor Control Class A (no position/endpoint)
+  0x06,   // Motor Control Class B (endpoint aware)
+  0x07,   // Motor Control Class C (position/endpoint aware)
+];
 
 // From ValueIDIndexesDefines.def
 const WAKEUP_INTERVAL_VALUE = 0;
@@ -251,141 +269,26 @@ const THERMOSTAT_INDEX_FAN_MODE = 0;
 // From ValueIDIndexesDefines.def (ValueID_Index_ThermostatFanState)
 const THERMOSTAT_INDEX_FAN_STATE = 0;
 
-const QUIRKS = [
-  {
-    // The Aeotec devices don't seem to notify on current changes, only on
-    // instantaneous power changes. So we exclude this for now. We might be
-    // able to support this by adding a read of current each time we get a
-    // power change.
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-    },
-    excludeProperties: ['current'],
-  },
-  {
-    // The Aeotec ZW096 (Smart Switch 6) says it supports the MULTILEVEL
-    // command class, but setting it acts like a no-op. We remove the
-    // 'level' property so that the UI doesn't see it.
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-      productId: AEOTEC_ZW096_PRODUCT_ID,
-    },
-    excludeProperties: ['level'],
-  },
-  {
-    // Aeotec products which have Enery Metering
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-      productIds: [
-        AEOTEC_ZW096_PRODUCT_ID,  // Smart Switch 6
-        AEOTEC_ZW099_PRODUCT_ID,  // Smart Dimmer 6
-        AEOTEC_ZW111_PRODUCT_ID,  // Nano Swith with energy metering
-        AEOTEC_ZW132_PRODUCT_ID,  // Dual Nano Switch with metering
-      ],
-    },
-    // polling isn't required with the configuration change below
-    disablePoll: true,
-    setConfigs: [
-      // Enable to send a Basic CC Report when the switch state
-      // changes.
-      {paramId: 80, value: 2, size: 1},
-      // Setting parameter 90 to 1 causes instantaneous reports to be
-      // sent based on parameters 91 & 92
-      {paramId: 90, value: 1, size: 1},
-      // Parameter 91 is the minimum change (in watts) required to induce
-      // a meter report.
-      {paramId: 91, value: 25, size: 2},
-      // Parameter 92 is the minimum change (in wattage percent) to induce
-      // a meter report.
-      {paramId: 92, value: 5, size: 1},
-      // Setting the following to non-zero causes periodic reports to
-      // be sent based on parameters 111-113
-      {paramId: 101, value: 0, size: 4},
-      {paramId: 102, value: 0, size: 4},
-      {paramId: 103, value: 0, size: 4},
-    ],
-    isLight: false,
-  },
-  {
-    // Aeotec Products without Energy Metering
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-      productIds: [
-        AEOTEC_ZW116_PRODUCT_ID,  // Nano Switch
-        AEOTEC_ZW139_PRODUCT_ID,  // Nano Switch (End of Life)
-        AEOTEC_ZW140_PRODUCT_ID,  // Dual Nano Switch
-        AEOTEC_ZW141_PRODUCT_ID,  // Nano Shutter
-      ],
-    },
-    // polling isn't required with the configuration change below
-    disablePoll: true,
-    setConfigs: [
-      // Enable to send a Basic CC Report when the switch state
-      // changes.
-      {paramId: 80, value: 2, size: 1},
-    ],
-    isLight: false,
-  },
-  {
-    // The Aeotec ZW100 says it supports the SENSOR_BINARY command class,
-    // but this is only true for some configurations. We use the alarm
-    // command class instead.
-    // We remove the 'on' property so that the UI doesn't see it.
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-      productId: AEOTEC_ZW100_PRODUCT_ID,
-    },
-    excludeProperties: ['on'],
-    setConfigs: [
-      // Configure motion sensor to send 'Basic Set', rather than
-      // 'Binary Sensor report'.
-      {paramId: 5, value: 1, size: 1},
-      // Enable threshold reporting
-      {paramId: 40, value: 1, size: 1},
-      // Report 0.5C temperature changes
-      {paramId: 41, value: 0x00050100, size: 4},
-    ],
-  },
-  {
-    // By default, the Aeotec ZW130 only sends presses and not
-    // swipes. Setting this config allows swipes to be detected
-    // as well.
-    zwInfo: {
-      manufacturerId: AEOTEC_MANUFACTURER_ID,
-      productId: AEOTEC_ZW130_PRODUCT_ID,
-    },
-    setConfigs: [
-      // Configure what will be sent when pressing a button. The
-      // default value of 2 just sends a Central Scene Notification.
-      // A value of 3 also sends configuration reports.
-      // Note: We want to set the value to 3, which corresponds to the
-      // an item index of 2 since the zw130.xml file is missing an
-      // entry for a value of 2.
-      //  Index 0 = Value 0
-      //  Index 1 = Value 1
-      //  Index 2 = Value 3
-      // The OpenZWave C++ API is a bit deceiving in that it's called
-      // SetByValue, but for lists, the value is in the index into the
-      // list.
-      {paramId: 4, value: 2, size: 1},
-    ],
-  },
-];
+// The units used by OpenZWave's device database for configuration
+// parameters which have a different name in the Thing Description.
+const CONFIG_UNITS = {
+  '%': 'percent',
+};
 
-function quirkMatches(quirk, node) {
-  let match = true;
-  for (const id in quirk.zwInfo) {
-    if (id === 'productIds') {
-      if (!quirk.zwInfo.productIds.includes(node.zwInfo.productId)) {
-        match = false;
-        break;
-      }
-    } else if (node.zwInfo[id] !== quirk.zwInfo[id]) {
-      match = false;
+// Returns the items of a list value, for use as an enum. On the Dev
+// branch of openzwave, the list items often have duplicated items on the
+// list. So only include each value once.
+function configListEnum(zwValue) {
+  const enumValues = [];
+  for (const value of zwValue.values) {
+    if (enumValues.indexOf(value) < 0) {
+      enumValues.push(value);
+    } else {
+      // We found a duplicate - stop adding
       break;
     }
   }
-  return match;
+  return enumValues;
 }
 
 function levelToHex(level) {
@@ -404,6 +307,11 @@ class ZWaveClassifier {
                          `defaultName = ${node.defaultName}`);
     this.classifyInternal(node);
     node.classified = true;
+    if (node.quirks.hasOwnProperty('@type')) {
+      node['@type'] = [].concat(node.quirks['@type']);
+    }
+    this.addQuirkConfigProperties(node);
+    this.addConfigProperties(node);
 
     // Any type of device can be battery powered, so we do this check for
     // all devices.
@@ -414,6 +322,7 @@ class ZWaveClassifier {
     if (batteryValueId) {
       this.addBatteryProperty(node, batteryValueId);
     }
+
     DEBUG && console.log(`classify: ${node.id} named ${node.name}`,
                          `defaultName: ${node.defaultName} types:`,
                          node['@type']);
@@ -427,11 +336,13 @@ class ZWaveClassifier {
                   `manufacturerId: ${node.zwInfo.manufacturerId}`,
                   `productId: ${node.zwInfo.productId}`);
     // Search through the known quirks and see if we need to apply any
-    // configurations
-    for (const quirk of QUIRKS) {
-      if (!quirkMatches(quirk, node)) {
-        continue;
-      }
+    // configurations. The other settings from the quirks (which alter
+    // how the device is classified) are collected in node.quirks.
+    node.quirks = {};
+    for (const quirk of matchingQuirks(node)) {
+      DEBUG && console.log(`classify: ${node.id} matches quirk from`,
+                           quirk.source);
+      Object.assign(node.quirks, quirk);
 
       if (quirk.hasOwnProperty('disablePoll')) {
         console.log(`Device ${node.id}`,
@@ -498,6 +409,11 @@ class ZWaveClassifier {
     const specificType = zwave.getNodeSpecific(nodeId);
     node.zwInfo.specificType = specificType;
 
+    if (nodeId == zwave.getControllerNodeId()) {
+      this.initController(node);
+      return;
+    }
+
     const colorCapabilitiesValueId =
       node.findValueId(COMMAND_CLASS.COLOR,
                        1,
@@ -514,6 +430,14 @@ class ZWaveClassifier {
       node.findValueId(COMMAND_CLASS.SWITCH_MULTILEVEL,
                        1,
                        SWITCH_MULTILEVEL_INDEX_LEVEL);
+    const barrierValueId =
+      node.findValueId(COMMAND_CLASS.BARRIER_OPERATOR,
+                       1,
+                       BARRIER_OPERATOR_INDEX.COMMAND);
+    const tonesValueId =
+      node.findValueId(COMMAND_CLASS.SOUND_SWITCH,
+                       1,
+                       SOUND_SWITCH_INDEX.TONES);
     const alarmValueId =
       node.findValueId(COMMAND_CLASS.ALARM,
                        1,
@@ -569,6 +493,8 @@ class ZWaveClassifier {
       console.log('classify:   binarySwitchValueId =', binarySwitchValueId);
       console.log('classify:   doorLockValueId     =', doorLockValueId);
       console.log('classify:   levelValueId        =', levelValueId);
+      console.log('classify:   barrierValueId      =', barrierValueId);
+      console.log('classify:   tonesValueId        =', tonesValueId);
       console.log('classify:   binarySensorValueId =', binarySensorValueId);
       console.log('classify:   centralSceneValueId =', centralSceneValueId);
       console.log('classify:   alarmValueId        =', alarmValueId);
@@ -597,6 +523,19 @@ class ZWaveClassifier {
       case GENERIC_TYPE.SWITCH_BINARY:
       case GENERIC_TYPE.SWITCH_MULTILEVEL:
       {
+        if (genericType == GENERIC_TYPE.SWITCH_MULTILEVEL &&
+            SPECIFIC_TYPE_MOTOR_CONTROL.includes(specificType)) {
+          this.initWindowCovering(node, levelValueId);
+          break;
+        }
+
+        // Sirens (like the Aeotec Siren 6) are binary switches which
+        // support the sound switch command class.
+        if (tonesValueId) {
+          this.initSiren(node, tonesValueId, binarySwitchValueId);
+          break;
+        }
+
         // The Aeotec Smart Switch 6 and Smart Dimmer 6 have color capabilities
         // but aren't lights.
         if (colorCapabilitiesValueId) {
@@ -634,11 +573,10 @@ class ZWaveClassifier {
           this.initSwitch(node, bsValueId[1], lvlValueId[1], '');
         } else {
           // 2 or more switches
-          if (node.zwInfo.manufacturerId == AEOTEC_MANUFACTURER_ID) {
-            // With Aeotec, when there are multiple switches, then
-            // instances 2 - N are used. Instance 1 seems to control
-            // all of the switches.
-            // At least this is true for the Dual Nano Switch
+          if (node.quirks.multiSwitchFirstInstance == 2) {
+            // Some devices (i.e. Aeotec) use instances 2 - N when there
+            // are multiple switches. Instance 1 seems to control all of
+            // the switches.
             this.initSwitch(node, bsValueId[2], lvlValueId[2], '');
           } else {
             // The only other dual switch tested needed to use instance
@@ -654,6 +592,24 @@ class ZWaveClassifier {
             switchNum += 1;
           }
         }
+        if (node.isLight && !colorCapabilitiesValueId) {
+          // A switch or dimmer which has been marked as controlling a
+          // light. A Thing only has one OnOffProperty and BrightnessProperty,
+          // so only the first switch (on and level) controls the light, and
+          // any other switches keep their on2, level2, ... properties.
+          if (!node['@type'].includes('Light')) {
+            node['@type'].unshift('Light');
+          }
+          const levelProperty = node.properties.get('level');
+          if (levelProperty) {
+            // The level is the brightness rather than a LevelProperty, so
+            // the Thing is no longer a MultiLevelSwitch.
+            levelProperty['@type'] = 'BrightnessProperty';
+            node['@type'] = node['@type'].filter((type) => {
+              return type !== 'MultiLevelSwitch';
+            });
+          }
+        }
         break;
       }
 
@@ -661,6 +617,10 @@ class ZWaveClassifier {
         this.initBinarySensor(node, binarySensorValueId);
         break;
 
+      case GENERIC_TYPE.WINDOW_COVERING:
+        this.initWindowCovering(node, levelValueId);
+        break;
+
       case GENERIC_TYPE.SENSOR_MULTILEVEL:
       case GENERIC_TYPE.SENSOR_NOTIFICATION:
         this.initSensorNotification(node);
@@ -675,13 +635,37 @@ class ZWaveClassifier {
         break;
 
       case GENERIC_TYPE.ENTRY_CONTROL:
-        this.initEntryControl(node, doorLockValueId);
+        if (barrierValueId) {
+          this.initBarrierOperator(node, barrierValueId);
+        } else {
+          this.initEntryControl(node, doorLockValueId);
+        }
         break;
 
       case GENERIC_TYPE.THERMOSTAT:
         this.initThermostat(node);
         break;
 
+      case GENERIC_TYPE.METER:
+      case GENERIC_TYPE.METER_PULSE:
+        this.initMeter(node);
+        break;
+
+      case GENERIC_TYPE.SECURITY_PANEL: {
+        // Sirens may also be security panels, which we can tell by their
+        // tones or their siren notification. Any other kind of security
+        // panel (even one with a binary switch) is unsupported.
+        const sirenValueId =
+          node.findValueId(COMMAND_CLASS.ALARM,
+                           1,
+                           NOTIFICATION_SIREN);
+        if (tonesValueId || (sirenValueId && binarySwitchValueId)) {
+          this.initSiren(node, tonesValueId, binarySwitchValueId);
+          break;
+        }
+      }
+      // falls through
+
       default: {
         const genericTypeStr = GENERIC_TYPE_STR[genericType] || 'unknown';
         console.error(`Node: ${nodeId}`,
@@ -737,12 +721,12 @@ class ZWaveClassifier {
   addProperty(node, name, descr, valueId,
               setZwValueFromValue, parseValueFromZwValue) {
     // Search through the known quirks and see if we need to apply any.
-    for (const quirk of QUIRKS) {
+    for (const quirk of matchingQuirks(node)) {
       if (!quirk.hasOwnProperty('excludeProperties')) {
         continue;
       }
 
-      if (quirkMatches(quirk, node) && quirk.excludeProperties.includes(name)) {
+      if (quirk.excludeProperties.includes(name)) {
         console.log(
           `Not adding property ${name} to device ${node.id} due to quirk.`);
         return;
@@ -809,6 +793,76 @@ class ZWaveClassifier {
     );
   }
 
+  // The controller shows the diagnostics, and the result of the last heal, of
+  // the node chosen using its Show Diagnostics (or Heal Node) action. The
+  // values are filled in by the adapter (see updateControllerProperties).
+  addDiagnosticsProperties(node) {
+    this.addProperty(
+      node,
+      'diagnosticsNode',
+      {
+        type: 'string',
+        title: 'Diagnostics For',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'lastSeen',
+      {
+        type: 'string',
+        title: 'Last Seen',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'framesSent',
+      {
+        type: 'integer',
+        title: 'Frames Sent',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'framesReceived',
+      {
+        type: 'integer',
+        title: 'Frames Received',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'failedTransmissions',
+      {
+        type: 'integer',
+        title: 'Failed Transmissions',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'averageRoundTrip',
+      {
+        type: 'integer',
+        title: 'Average Round Trip',
+        unit: 'millisecond',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'healResult',
+      {
+        type: 'string',
+        title: 'Heal Result',
+        readOnly: true,
+      }
+    );
+  }
+
   addHumidityProperty(node, humidityValueId) {
     this.addProperty(
       node,
@@ -1048,18 +1102,13 @@ class ZWaveClassifier {
         onProperty: onProperty,
         levelProperty: levelProperty,
       });
-    } else if (node.zwInfo.manufacturerId == AEOTEC_MANUFACTURER_ID &&
-               node.zwInfo.productId == AEOTEC_ZW130_PRODUCT_ID) {
-      // WallMote Quad
-      const buttonLabel = [
-        '',
-        'Top Left',
-        'Top Right',
-        'Bottom Left',
-        'Bottom Right',
-      ];
+    } else if (node.quirks.centralScene) {
+      // The quirk describes the buttons (i.e. for the WallMote Quad),
+      // each of which gets its own on and level properties.
+      const scene = node.quirks.centralScene;
       node.sceneProperty = [];
-      for (let buttonNum = 1; buttonNum <= 4; buttonNum++) {
+      scene.buttons.forEach((label, idx) => {
+        const buttonNum = idx + 1;
         const onProperty =
           this.addCentralSceneOnProperty(node, buttonNum);
         const levelProperty =
@@ -1068,18 +1117,17 @@ class ZWaveClassifier {
         levelProperty.value = 0;
         const sceneProperty = this.addCentralSceneProperty(node, {
           buttonNum: buttonNum,
-          label: buttonLabel[buttonNum],
-          pressAction: 'toggle',
+          label: label,
+          pressAction: scene.pressAction,
           moveDir: 0,   // We use slide to incr/decr
           onProperty: onProperty,
           levelProperty: levelProperty,
         });
         node.sceneProperty[buttonNum] = sceneProperty;
+      });
+      if (scene.slide) {
+        this.addSlideProperties(node);
       }
-      this.addSlideProperties(node);
-      this.addConfigList(node, 1, 'Touch Sounds');
-      this.addConfigList(node, 2, 'Touch Vibration');
-      this.addConfigColorRGBX(node, 5, 'Touch Color');
     }
   }
 
@@ -1214,6 +1262,154 @@ class ZWaveClassifier {
     );
   }
 
+  // Adds the properties for the configuration parameters listed in the
+  // configProperties of the node's quirks.
+  addQuirkConfigProperties(node) {
+    for (const quirk of matchingQuirks(node)) {
+      this.addConfigPropertiesFrom(node, quirk.configProperties, quirk.source);
+    }
+  }
+
+  // Adds a property for each of the {paramId, type, label} configuration
+  // parameters in `configs`, which come from the quirks in `source`.
+  addConfigPropertiesFrom(node, configs, source) {
+    for (const config of configs || []) {
+      switch (config.type) {
+        case 'boolean':
+          this.addConfigBoolean(node, config.paramId, config.label);
+          break;
+        case 'level':
+          this.addConfigLevel(node, config.paramId, config.label,
+                              config.minimum, config.maximum, config.unit);
+          break;
+        case 'list':
+          this.addConfigList(node, config.paramId, config.label);
+          break;
+        case 'colorRGBX':
+          this.addConfigColorRGBX(node, config.paramId, config.label);
+          break;
+        default:
+          console.error(`Device ${node.id}: unknown config property type`,
+                        config.type, 'in', source);
+          break;
+      }
+    }
+  }
+
+  /**
+   * @method addConfigProperties
+   *
+   * Adds a config-<paramId> property for each of the configuration
+   * parameters which OpenZWave knows about, unless the quirks have already
+   * added one. The title, description and range come from the parameter's
+   * entry in OpenZWave's device database.
+   */
+  addConfigProperties(node) {
+    for (const valueId in node.zwValues) {
+      const zwValue = node.zwValues[valueId];
+      if (zwValue.class_id == COMMAND_CLASS.CONFIGURATION &&
+          zwValue.instance == 1 &&
+          !node.properties.has(`config-${zwValue.index}`)) {
+        this.addConfigProperty(node, zwValue);
+      }
+    }
+  }
+
+  addConfigProperty(node, zwValue) {
+    if (zwValue.write_only || typeof zwValue.value === 'undefined') {
+      // Things like "Reset to factory defaults" have no value to show, and
+      // some parameters are never read back from the device.
+      return;
+    }
+    const descr = {
+      label: zwValue.label || `Parameter ${zwValue.index}`,
+    };
+    if (zwValue.help) {
+      descr.description = zwValue.help;
+    }
+    if (zwValue.read_only) {
+      descr.readOnly = true;
+    }
+    let setZwValueFromValue;
+    let parseValueFromZwValue;
+    switch (zwValue.type) {
+      case 'list':
+        descr.type = 'string';
+        descr.enum = configListEnum(zwValue);
+        setZwValueFromValue = 'setConfigListValue';
+        parseValueFromZwValue = 'parseConfigListZwValue';
+        break;
+      case 'bool':
+        descr.type = 'boolean';
+        setZwValueFromValue = 'setConfigBooleanValue';
+        parseValueFromZwValue = 'parseConfigBooleanZwValue';
+        break;
+      case 'byte':
+      case 'short':
+      case 'int':
+        descr.type = 'integer';
+        if (zwValue.min < zwValue.max) {
+          descr.minimum = zwValue.min;
+          descr.maximum = zwValue.max;
+        }
+        if (zwValue.units) {
+          descr.unit = CONFIG_UNITS[zwValue.units] || zwValue.units;
+        }
+        break;
+      case 'bitset':
+        this.addConfigBitset(node, zwValue, descr);
+        return;
+      default:
+        DEBUG && console.log(`classify: ${node.id} not adding property`,
+                             `for config parameter ${zwValue.index}`,
+                             `of type ${zwValue.type}`);
+        return;
+    }
+    const property = this.addProperty(
+      node,                         // node
+      `config-${zwValue.index}`,    // name
+      descr,
+      zwValue.value_id,
+      setZwValueFromValue,
+      parseValueFromZwValue
+    );
+    if (property) {
+      property.fireAndForget = true;
+    }
+    return property;
+  }
+
+  // Adds a boolean property (config-<paramId>-<bit>) for each of the bits
+  // of a bitset configuration parameter. OpenZWave reports which bits are
+  // used (as bitMask) when the device database lists them. Otherwise, the
+  // parameter is assumed to be a byte. Bits which openzwave-shared doesn't
+  // report aren't exposed, since they would always read as false.
+  addConfigBitset(node, zwValue, descr) {
+    const bitMask = zwValue.bitMask || 0xff;
+    for (let bit = 0; bit < CONFIG_BITSET_MAX_BITS; bit++) {
+      if (!(bitMask & (1 << bit))) {
+        continue;
+      }
+      const property = this.addProperty(
+        node,                                   // node
+        `config-${zwValue.index}-${bit}`,       // name
+        Object.assign({}, descr, {
+          label: `${descr.label} (bit ${bit})`,
+          type: 'boolean',
+        }),
+        zwValue.value_id,
+        'setConfigBitValue',
+        'parseConfigBitZwValue'
+      );
+      if (property) {
+        // The value was parsed before we knew which bit to look at.
+        property.bit = bit;
+        [property.value] = property.parseZwValue(zwValue.value);
+        property.fireAndForget = true;
+      }
+    }
+  }
+
   addConfigBoolean(node, paramId, label) {
     const valueId = node.findValueId(COMMAND_CLASS.CONFIGURATION, 1, paramId);
     if (!valueId) {
@@ -1276,26 +1472,13 @@ class ZWaveClassifier {
       return;
     }
 
-    // On the Dev branch of openzwave, the list items often have duplicated
-    // items on the list. So only include each value once.
-
-    const enumValues = [];
-    for (const value of zwValue.values) {
-      if (enumValues.indexOf(value) < 0) {
-        enumValues.push(value);
-      } else {
-        // We found a duplicate - stop adding
-        break;
-      }
-    }
-
     const property = this.addProperty(
       node,                 // node
       `config-${paramId}`,  // name
       {
         label: label,
         type: 'string',
-        enum: enumValues,
+        enum: configListEnum(zwValue),
       },
       valueId,
       'setConfigListValue',
@@ -1520,8 +1703,7 @@ class ZWaveClassifier {
       alarmLevelValueId
     );
 
-    if (node.zwInfo.manufacturerId === FIRST_ALERT_MANUFACTURER_ID &&
-        node.zwInfo.productId === FIRST_ALERT_ZCOMBO_PRODUCT_ID) {
+    if (node.quirks.smokeCoAlarmType) {
       // The First Alert ZCOMBO-G combines the smoke and CO alarms into
       // the alarm type value
 
@@ -1603,12 +1785,13 @@ class ZWaveClassifier {
     this.addNotificationSensorProperties(node, NOTIFICATION_SENSOR2);
 
     // The Ecolink Flood/Freeze sensor uses the notification CC for the
-    // flood portion, but uses index 1 of the binary sensor CC for the
-    // freeze portion.
+    // flood portion, but uses another index of the binary sensor CC for
+    // the freeze portion.
 
-    if (node.zwInfo.manufacturerId === ECOLINK_MANUFACTURER_ID &&
-        node.zwInfo.productId === ECOLINK_FLOOD_FREEZE_PRODUCT_ID) {
-      const freezeValueId = node.findValueId(COMMAND_CLASS.SENSOR_BINARY, 1, 1);
+    if (node.quirks.hasOwnProperty('freezeSensorIndex')) {
+      const freezeValueId =
+        node.findValueId(COMMAND_CLASS.SENSOR_BINARY, 1,
+                         node.quirks.freezeSensorIndex);
       if (freezeValueId) {
         this.addProperty(
           node,
@@ -1690,9 +1873,7 @@ class ZWaveClassifier {
       node['@type'] = [].concat(sensor['@type']);
     }
 
-    if (node.zwInfo.manufacturerId == AEOTEC_MANUFACTURER_ID &&
-        node.zwInfo.productId == AEOTEC_ZW100_PRODUCT_ID &&
-        sensor.name == 'motion') {
+    if (node.quirks.motionFromBinarySensor && sensor.name == 'motion') {
       // On the Aeotec Multisensor 6, we use BASIC_SET to indicate
       // motion rather than the alarm notification
 
@@ -1707,8 +1888,9 @@ class ZWaveClassifier {
           sensor.propertyDescr,
           binarySensorValueId
         );
-        this.addConfigLevel(node, 3, 'Motion Timeout', 10, 3600, 'seconds');
-        this.addConfigList(node, 4, 'Motion Sensitivity');
+        this.addConfigPropertiesFrom(node,
+                                     node.quirks.motionConfigProperties,
+                                     node.quirks.source);
         return;
       }
     }
@@ -1850,7 +2032,7 @@ class ZWaveClassifier {
           'parseLevelZwValue'     // parseValueFromZwValue
         );
       }
-      if (suffix === '' && nodeHasAeotecS1S2Mode(node)) {
+      if (suffix === '' && node.quirks.s1s2Mode) {
         this.addConfigList(node, 120, 'S1 Mode');
         this.addConfigList(node, 121, 'S2 Mode');
       }
@@ -1888,15 +2070,273 @@ class ZWaveClassifier {
       );
     }
 
+    if (this.addElectricMeterProperties(node, suffix) && !suffix) {
+      node.isSmartPlug = true;
+      node['@type'].push('SmartPlug', 'EnergyMonitor');
+      this.addMeterResetAction(node);
+    }
+
+    // Some switches need configuring, i.e. to tell us when their button
+    // is pressed.
+    this.setQuirkConfigValues(node, node.quirks.switchConfigs);
+    if (node.isSmartPlug) {
+      this.setQuirkConfigValues(node, node.quirks.smartPlugConfigs);
+    }
+  }
+
+  // Sets the {paramId, value} configuration parameters from the
+  // switchConfigs or smartPlugConfigs of the node's quirks. Unlike
+  // setConfigs, these are set through the parameter's value, so the
+  // value of a list is the label of the item. Parameters which the device
+  // doesn't have, or list items which it doesn't know, are skipped.
+  setQuirkConfigValues(node, configs) {
+    for (const config of configs || []) {
+      const valueId = node.findValueId(COMMAND_CLASS.CONFIGURATION,
+                                       1, config.paramId);
+      const zwValue = valueId && node.zwValues[valueId];
+      if (!zwValue) {
+        continue;
+      }
+      if (zwValue.type == 'list' && !zwValue.values.includes(config.value)) {
+        console.error(`Device ${node.id} config ` +
+                      `paramId: ${config.paramId} has no item ` +
+                      `'${config.value}'`);
+        continue;
+      }
+      console.log(`Setting device ${node.id} config ` +
+                  `paramId: ${config.paramId} to value: ${config.value}`);
+      node.adapter.zwave.setValue(node.zwInfo.nodeId,          // nodeId
+                                  COMMAND_CLASS.CONFIGURATION, // classId
+                                  1,                           // instance
+                                  config.paramId,              // index
+                                  config.value);               // value
+    }
+  }
+
+  /**
+   * @method initWindowCovering
+   *
+   * Used for blinds, shutters and the like, which are controlled through
+   * the multilevel switch command class, where the level is the position
+   * (0 = closed). Venetian blinds use a second endpoint for the tilt of
+   * the slats.
+   */
+  initWindowCovering(node, levelValueId) {
+    if (!levelValueId) {
+      console.error(`Node: ${node.zwInfo.nodeId}`,
+                    'window covering has no multilevel switch');
+      return;
+    }
+    node['@type'] = ['MultiLevelSwitch'];
+    node.positionProperty = this.addProperty(
+      node,                     // node
+      'position',               // name
+      {// property decscription
+        '@type': 'LevelProperty',
+        label: 'Position',
+        type: 'number',
+        unit: 'percent',
+        minimum: 0,
+        maximum: 100,
+      },
+      levelValueId,             // valueId
+      'setLevelValue',          // setZwValueFromValue
+      'parseLevelZwValue'       // parseValueFromZwValue
+    );
+
+    const tiltValueId =
+      node.findValueId(COMMAND_CLASS.SWITCH_MULTILEVEL,
+                       2,
+                       SWITCH_MULTILEVEL_INDEX_LEVEL);
+    if (tiltValueId) {
+      this.addProperty(
+        node,                   // node
+        'tilt',                 // name
+        {// property decscription
+          label: 'Tilt',
+          type: 'number',
+          unit: 'percent',
+          minimum: 0,
+          maximum: 100,
+        },
+        tiltValueId,            // valueId
+        'setLevelValue',        // setZwValueFromValue
+        'parseLevelZwValue'     // parseValueFromZwValue
+      );
+    }
+
+    // Pressing the Bright and Dim buttons sends a start level change
+    // (up or down), and releasing either of them sends a stop level change.
+    node.openValueId =
+      node.findValueId(COMMAND_CLASS.SWITCH_MULTILEVEL,
+                       1,
+                       SWITCH_MULTILEVEL_INDEX_BRIGHT);
+    node.closeValueId =
+      node.findValueId(COMMAND_CLASS.SWITCH_MULTILEVEL,
+                       1,
+                       SWITCH_MULTILEVEL_INDEX_DIM);
+    if (node.openValueId && node.closeValueId) {
+      this.addActions(node, {
+        open: {
+          title: 'Open',
+          description: 'Start opening',
+        },
+        close: {
+          title: 'Close',
+          description: 'Start closing',
+        },
+        stop: {
+          title: 'Stop',
+          description: 'Stop opening or closing',
+        },
+      });
+    }
+  }
+
+  /**
+   * @method initSiren
+   *
+   * Used for sirens and chimes. Switching the siren on plays its default
+   * tone (which is selected by the tone property), and the Play Tone
+   * action plays any of its tones, optionally stopping after a duration.
+   * Sirens without the sound switch command class are simply switched on
+   * and off.
+   */
+  initSiren(node, tonesValueId, binarySwitchValueId) {
+    if (!tonesValueId && !binarySwitchValueId) {
+      console.error(`Node: ${node.zwInfo.nodeId}`,
+                    'siren has no sound switch or binary switch');
+      return;
+    }
+    node.name = `${node.id}-Siren`;
+    node['@type'] = ['Alarm', 'OnOffSwitch'];
+
+    let onValueId = binarySwitchValueId;
+    let setOnValue = null;
+    let parseOnValue = null;
+    if (tonesValueId) {
+      onValueId = tonesValueId;
+      setOnValue = 'setToneOnValue';
+      parseOnValue = 'parseToneOnZwValue';
+    }
+    this.addProperty(
+      node,                     // node
+      'on',                     // name
+      {// property decscription
+        '@type': 'OnOffProperty',
+        label: 'On/Off',
+        type: 'boolean',
+      },
+      onValueId,                // valueId
+      setOnValue,               // setZwValueFromValue
+      parseOnValue              // parseValueFromZwValue
+    );
+
+    // The alarm comes from the siren notification, if there is one, or
+    // else it shows whether the siren is playing.
+    const sirenValueId =
+      node.findValueId(COMMAND_CLASS.ALARM,
+                       1,
+                       NOTIFICATION_SIREN);
+    const alarmProperty = this.addProperty(
+      node,                     // node
+      'alarm',                  // name
+      {// property decscription
+        '@type': 'AlarmProperty',
+        label: 'Alarm',
+        type: 'boolean',
+        readOnly: true,
+      },
+      sirenValueId || onValueId,  // valueId
+      null,                       // setZwValueFromValue
+      sirenValueId ? 'parseZwValueListMap' : parseOnValue
+    );
+    if (sirenValueId && alarmProperty) {
+      alarmProperty.valueListMap = [false, true];
+    }
+
+    if (!tonesValueId) {
+      return;
+    }
+    node.tonesValueId = tonesValueId;
+
+    const defaultToneValueId =
+      node.findValueId(COMMAND_CLASS.SOUND_SWITCH,
+                       1,
+                       SOUND_SWITCH_INDEX.DEFAULT_TONE);
+    if (defaultToneValueId) {
+      this.addProperty(
+        node,                   // node
+        'tone',                 // name
+        {// property decscription
+          label: 'Tone',
+          type: 'string',
+          enum: node.zwValues[defaultToneValueId].values,
+        },
+        defaultToneValueId      // valueId
+      );
+    }
+
+    const volumeValueId =
+      node.findValueId(COMMAND_CLASS.SOUND_SWITCH,
+                       1,
+                       SOUND_SWITCH_INDEX.VOLUME);
+    if (volumeValueId) {
+      this.addProperty(
+        node,                   // node
+        'volume',               // name
+        {// property decscription
+          '@type': 'LevelProperty',
+          label: 'Volume',
+          type: 'integer',
+          unit: 'percent',
+          minimum: 0,
+          maximum: 100,
+        },
+        volumeValueId           // valueId
+      );
+    }
+
+    this.addActions(node, {
+      playTone: {
+        title: 'Play Tone',
+        description: 'Play one of the tones, for the given number of ' +
+                     'seconds (or until it finishes)',
+        input: {
+          type: 'object',
+          required: ['tone'],
+          properties: {
+            tone: {
+              type: 'string',
+              // The first tone is Off.
+              enum: node.zwValues[tonesValueId].values.slice(1),
+            },
+            duration: {
+              type: 'integer',
+              minimum: 1,
+              unit: 'second',
+            },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * @method addElectricMeterProperties
+   *
+   * Adds a property for each of the electric meter readings which the
+   * node reports, and returns true if there were any.
+   */
+  addElectricMeterProperties(node, suffix) {
+    let found = false;
+
     const powerValueId =
       node.findValueId(COMMAND_CLASS.METER,
                        1,
                        METER_INDEX_ELECTRIC_INSTANT_POWER);
     if (powerValueId) {
-      if (!suffix) {
-        node.isSmartPlug = true;
-        node['@type'].push('SmartPlug', 'EnergyMonitor');
-      }
+      found = true;
       this.addProperty(
         node,                   // node
         `instantaneousPower${suffix}`, // name
@@ -1915,9 +2355,7 @@ class ZWaveClassifier {
                        1,
                        METER_INDEX_ELECTRIC_INSTANT_VOLTAGE);
     if (voltageValueId) {
-      if (!suffix) {
-        node.isSmartPlug = true;
-      }
+      found = true;
       this.addProperty(
         node,                   // node
         `voltage${suffix}`,     // name
@@ -1936,9 +2374,7 @@ class ZWaveClassifier {
                        1,
                        METER_INDEX_ELECTRIC_INSTANT_CURRENT);
     if (currentValueId) {
-      if (!suffix) {
-        node.isSmartPlug = true;
-      }
+      found = true;
       this.addProperty(
         node,                   // node
         `current${suffix}`,     // name
@@ -1955,29 +2391,254 @@ class ZWaveClassifier {
       );
     }
 
-    // TODO: add this data into the quirks
-    if (node.zwInfo.manufacturer === 'Aeotec') {
-      // When the user presses the button, tell us about it
-      node.adapter.zwave.setValue(node.zwInfo.nodeId,          // nodeId
-                                  COMMAND_CLASS.CONFIGURATION, // classId
-                                  1,                           // instance
-                                  80,                          // index
-                                  'Basic');                    // value
-      if (node.isSmartPlug) {
-        // Enable METER reporting
-        node.adapter.zwave.setValue(node.zwInfo.nodeId,          // nodeId
-                                    COMMAND_CLASS.CONFIGURATION, // classId
-                                    1,                           // instance
-                                    90,                          // index
-                                    1);                          // value
-        // Report changes of 1 watt
-        node.adapter.zwave.setValue(node.zwInfo.nodeId,          // nodeId
-                                    COMMAND_CLASS.CONFIGURATION, // classId
-                                    1,                           // instance
-                                    91,                          // index
-                                    1);                          // value
+    const energyValueId =
+      node.findValueId(COMMAND_CLASS.METER,
+                       1,
+                       METER_INDEX_ELECTRIC_KWH);
+    if (energyValueId) {
+      found = true;
+      this.addEnergyProperties(node, energyValueId, suffix);
+    }
+
+    const apparentEnergyValueId =
+      node.findValueId(COMMAND_CLASS.METER,
+                       1,
+                       METER_INDEX_ELECTRIC_KVAH);
+    if (apparentEnergyValueId) {
+      found = true;
+      this.addProperty(
+        node,                   // node
+        `apparentEnergy${suffix}`, // name
+        {// property decscription
+          label: suffix ? `Apparent Energy (${suffix})` : 'Apparent Energy',
+          type: 'number',
+          unit: 'kilovolt ampere hour',
+          readOnly: true,
+        },
+        apparentEnergyValueId   // valueId
+      );
+    }
+
+    const powerFactorValueId =
+      node.findValueId(COMMAND_CLASS.METER,
+                       1,
+                       METER_INDEX_ELECTRIC_POWER_FACTOR);
+    if (powerFactorValueId) {
+      found = true;
+      this.addProperty(
+        node,                   // node
+        `powerFactor${suffix}`, // name
+        {// property decscription
+          '@type': suffix ? '' : 'InstantaneousPowerFactorProperty',
+          label: suffix ? `Power Factor (${suffix})` : 'Power Factor',
+          type: 'number',
+          minimum: -1,
+          maximum: 1,
+          readOnly: true,
+        },
+        powerFactorValueId      // valueId
+      );
+    }
+
+    return found;
+  }
+
+  // Adds the action which resets the meter, if the meter supports it.
+  addMeterResetAction(node) {
+    const meterResetValueId =
+      node.findValueId(COMMAND_CLASS.METER,
+                       1,
+                       METER_INDEX_RESET);
+    if (meterResetValueId) {
+      node.meterResetValueId = meterResetValueId;
+      this.addActions(node, {
+        resetMeter: {
+          title: 'Reset Meter',
+          description: 'Reset the meter readings to zero',
+        },
+      });
+    }
+  }
+
+  /**
+   * @method initMeter
+   *
+   * Used for standalone meters. The type (electric, gas or water) and the
+   * scale of each reading come from the index of its zwValue. Older pulse
+   * meters only report a count of pulses.
+   */
+  initMeter(node) {
+    node.name = `${node.id}-Meter`;
+
+    if (this.addElectricMeterProperties(node, '')) {
+      node['@type'].push('EnergyMonitor');
+    }
+
+    for (const valueId in node.zwValues) {
+      const zwValue = node.zwValues[valueId];
+      if (zwValue.class_id != COMMAND_CLASS.METER ||
+          zwValue.instance != 1 ||
+          zwValue.index >= METER_INDEX_EXPORTING) {
+        continue;
+      }
+      const meterType = Math.floor(zwValue.index / METER_INDEX_SCALES);
+      const scale = zwValue.index % METER_INDEX_SCALES;
+      const volume = METER_VOLUME[meterType];
+      const unit = volume && volume.units[scale];
+      if (volume && scale == METER_SCALE_PULSE_COUNT) {
+        this.addProperty(
+          node,                         // node
+          `${volume.name}PulseCount`,   // name
+          {// property decscription
+            label: `${volume.label} Pulse Count`,
+            type: 'integer',
+            readOnly: true,
+          },
+          valueId                       // valueId
+        );
+      } else if (volume && unit &&
+                 !node.properties.has(`${volume.name}Volume`)) {
+        this.addVolumeProperties(node, volume, unit, valueId);
+      }
+    }
+
+    const pulseCountValueId =
+      node.findValueId(COMMAND_CLASS.METER_PULSE,
+                       1,
+                       METER_PULSE_INDEX_COUNT);
+    if (pulseCountValueId) {
+      this.addProperty(
+        node,                   // node
+        'pulseCount',           // name
+        {// property decscription
+          label: 'Pulse Count',
+          type: 'integer',
+          readOnly: true,
+        },
+        pulseCountValueId       // valueId
+      );
+    }
+
+    this.addMeterResetAction(node);
+  }
+
+  /**
+   * @method addVolumeProperties
+   *
+   * Adds the volume which a gas or water meter has measured, along with
+   * the flow. Meters don't report the flow, so it's worked out from the
+   * change in volume since the previous reading. The value which OpenZWave
+   * has cached when we start wasn't read at a known time, so the flow is
+   * only shown from the second reading which is reported.
+   */
+  addVolumeProperties(node, volume, unit, volumeValueId) {
+    const volumeProperty = this.addProperty(
+      node,                     // node
+      `${volume.name}Volume`,   // name
+      {// property decscription
+        label: `${volume.label} Volume`,
+        type: 'number',
+        unit: unit,
+        readOnly: true,
+      },
+      volumeValueId             // valueId
+    );
+    const flowProperty = this.addProperty(
+      node,                     // node
+      `${volume.name}Flow`,     // name
+      {// property decscription
+        label: `${volume.label} Flow`,
+        type: 'number',
+        unit: `${unit} per hour`,
+        minimum: 0,
+        readOnly: true,
+      },
+      null                      // valueId
+    );
+    if (!volumeProperty || !flowProperty) {
+      return;
+    }
+    // OpenZWave reports decimal values as strings.
+    let lastVolume = NaN;
+    let lastTime = null;
+    volumeProperty.updated = function() {
+      const reading = parseFloat(volumeProperty.value);
+      const now = Date.now();
+      // The volume only goes backwards when the meter is reset.
+      if (lastTime !== null && !isNaN(lastVolume) && reading >= lastVolume &&
+          now > lastTime) {
+        const hours = (now - lastTime) / (60 * 60 * 1000);
+        const flow = (reading - lastVolume) / hours;
+        // Avoid showing rounding errors like 0.30000000000000004
+        node.setPropertyValue(flowProperty, Math.round(flow * 1000) / 1000);
       }
+      lastVolume = reading;
+      lastTime = now;
+    };
+  }
+
+  /**
+   * @method addEnergyProperties
+   *
+   * Adds the accumulated energy (in kWh), along with the previous reading
+   * and the change since then. OpenZWave doesn't report the previous
+   * reading, so we remember it whenever the energy changes.
+   */
+  addEnergyProperties(node, energyValueId, suffix) {
+    const energyProperty = this.addProperty(
+      node,                     // node
+      `energy${suffix}`,        // name
+      {// property decscription
+        label: suffix ? `Energy (${suffix})` : 'Energy',
+        type: 'number',
+        unit: 'kilowatt hour',
+        readOnly: true,
+      },
+      energyValueId             // valueId
+    );
+    if (!energyProperty) {
+      return;
     }
+    const previousProperty = this.addProperty(
+      node,                     // node
+      `previousEnergy${suffix}`, // name
+      {// property decscription
+        label: suffix ? `Previous Energy (${suffix})` : 'Previous Energy',
+        type: 'number',
+        unit: 'kilowatt hour',
+        readOnly: true,
+      },
+      null                      // valueId
+    );
+    const deltaProperty = this.addProperty(
+      node,                     // node
+      `energyDelta${suffix}`,   // name
+      {// property decscription
+        label: suffix ? `Energy Change (${suffix})` : 'Energy Change',
+        type: 'number',
+        unit: 'kilowatt hour',
+        readOnly: true,
+      },
+      null                      // valueId
+    );
+    // OpenZWave reports decimal values as strings.
+    let lastEnergy = parseFloat(energyProperty.value);
+    energyProperty.updated = function() {
+      const energy = parseFloat(energyProperty.value);
+      if (!isNaN(lastEnergy) && !isNaN(energy) && energy !== lastEnergy) {
+        if (previousProperty) {
+          node.setPropertyValue(previousProperty, lastEnergy);
+        }
+        if (deltaProperty) {
+          // If the meter went backwards then it was reset, so everything
+          // it reports was used since then.
+          const delta = energy < lastEnergy ? energy : energy - lastEnergy;
+          // Avoid showing rounding errors like 0.30000000000000004
+          node.setPropertyValue(deltaProperty, Math.round(delta * 1000) / 1000);
+        }
+      }
+      lastEnergy = energy;
+    };
   }
 
   initBinarySensor(node, binarySensorValueId) {
@@ -2012,6 +2673,171 @@ class ZWaveClassifier {
     }
   }
 
+  initController(node) {
+    // The values of these properties are filled in by the adapter (see
+    // updateControllerProperties).
+    node.isController = true;
+    if (!node.name) {
+      node.name = `${node.id}-Controller`;
+    }
+
+    this.addProperty(
+      node,
+      'homeId',
+      {
+        type: 'string',
+        title: 'Home ID',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'libraryVersion',
+      {
+        type: 'string',
+        title: 'Library Version',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'controllerType',
+      {
+        type: 'string',
+        title: 'Controller Type',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'nodeCount',
+      {
+        type: 'integer',
+        title: 'Node Count',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'controllerState',
+      {
+        type: 'string',
+        title: 'Controller State',
+        enum: Object.values(CONTROLLER_STATE_STR),
+        readOnly: true,
+      }
+    );
+
+    this.addProperty(
+      node,
+      'healStatus',
+      {
+        type: 'string',
+        title: 'Heal Status',
+        readOnly: true,
+      }
+    );
+    this.addProperty(
+      node,
+      'migration',
+      {
+        type: 'string',
+        title: 'Migration',
+        description: 'Things from a previous dongle which can be moved ' +
+                     'to this one',
+        readOnly: true,
+      }
+    );
+    this.addDiagnosticsProperties(node);
+
+    this.addActions(node, {
+      healNetwork: {
+        title: 'Heal Network',
+        description: 'Rebuild the routes between all of the nodes',
+      },
+      softReset: {
+        title: 'Soft Reset',
+        description: 'Restart the controller without losing any settings',
+      },
+      replaceFailedNode: {
+        title: 'Replace Failed Node',
+        description: 'Include a new device in place of a failed one, ' +
+                     'keeping its node ID',
+        input: {
+          type: 'object',
+          required: ['nodeId'],
+          properties: {
+            nodeId: {
+              type: 'integer',
+              minimum: 2,
+              maximum: 232,
+            },
+          },
+        },
+      },
+      migrateDevices: {
+        title: 'Migrate Devices',
+        description: 'Move the Things from the previous dongle to the ' +
+                     'matching devices on this one',
+      },
+      showDiagnostics: {
+        title: 'Show Diagnostics',
+        description: 'Show when a node was last heard from, and its ' +
+                     'communication statistics',
+        input: {
+          type: 'object',
+          required: ['nodeId'],
+          properties: {
+            nodeId: {
+              type: 'integer',
+              minimum: 2,
+              maximum: 232,
+            },
+          },
+        },
+      },
+      replaceDevice: {
+        title: 'Replace Device',
+        description: 'Give a node the Thing (ID, name and rules) of the ' +
+                     'device which it replaces',
+        input: {
+          type: 'object',
+          required: ['nodeId', 'deviceId'],
+          properties: {
+            nodeId: {
+              type: 'integer',
+              minimum: 2,
+              maximum: 232,
+            },
+            deviceId: {
+              type: 'string',
+              pattern: '^zwave-[0-9a-f]+-\\d+$',
+            },
+          },
+        },
+      },
+      healNode: {
+        title: 'Heal Node',
+        description: 'Rediscover the routes to a node',
+        input: {
+          type: 'object',
+          required: ['nodeId'],
+          properties: {
+            nodeId: {
+              type: 'integer',
+              minimum: 2,
+              maximum: 232,
+            },
+          },
+        },
+      },
+      cancelControllerCommand: {
+        title: 'Cancel Command',
+        description: 'Cancel the command which the controller is running',
+      },
+    });
+  }
+
   initEntryControl(node, doorLockValueId) {
     node.name = `${node.id}-DoorLock`;
     node['@type'] = ['Lock'];
@@ -2117,6 +2943,128 @@ class ZWaveClassifier {
     });
   }
 
+  /**
+   * @method initBarrierOperator
+   *
+   * Used for garage door openers and gates. Like the door lock, the
+   * visible state is separate from the ZWave value, so that it can show
+   * when the door is jammed.
+   */
+  initBarrierOperator(node, barrierValueId) {
+    node.name = `${node.id}-GarageDoor`;
+    node['@type'] = ['DoorSensor'];
+
+    node.barrierState = this.addProperty(
+      node,
+      'doorState',
+      {
+        type: 'string',
+        title: 'State',
+        enum: ['open', 'closed', 'opening', 'closing', 'stopped', 'jammed',
+               'unknown'],
+        readOnly: true,
+      }
+    );
+    node.barrierOpen = this.addProperty(
+      node,
+      'open',
+      {
+        '@type': 'OpenProperty',
+        type: 'boolean',
+        title: 'Open',
+        readOnly: true,
+      }
+    );
+
+    // Older versions of OpenZWave only report the state through the
+    // command value.
+    const labelValueId =
+      node.findValueId(COMMAND_CLASS.BARRIER_OPERATOR,
+                       1,
+                       BARRIER_OPERATOR_INDEX.LABEL);
+    node.barrierCommandValueId = barrierValueId;
+    node.barrierProperty = this.addProperty(
+      node,
+      '_barrierInternal',
+      {
+        type: 'string',
+        title: '_barrier',
+        readOnly: true,
+      },
+      labelValueId || barrierValueId,
+      null,
+      'parseBarrierZwValue'
+    );
+    // When the barrier state changes, we update the visible properties.
+    // Once it stops moving, any open or close action has finished.
+    node.barrierProperty.updated = function() {
+      const state = node.barrierProperty.value;
+      node.setPropertyValue(node.barrierState, state);
+      if (state != 'unknown') {
+        node.setPropertyValue(node.barrierOpen, state != 'closed');
+      }
+      if (['open', 'closed', 'stopped'].includes(state)) {
+        if (node.barrierTimeout) {
+          clearTimeout(node.barrierTimeout);
+          node.barrierTimeout = null;
+        }
+        if (node.barrierAction) {
+          const barrierAction = node.barrierAction;
+          node.barrierAction = null;
+          barrierAction.finish();
+        }
+      }
+    };
+    // Set the initial state.
+    node.barrierProperty.updated();
+
+    const audibleValueId =
+      node.findValueId(COMMAND_CLASS.BARRIER_OPERATOR,
+                       1,
+                       BARRIER_OPERATOR_INDEX.AUDIBLE);
+    if (audibleValueId) {
+      this.addProperty(
+        node,
+        'audibleSignal',
+        {
+          '@type': 'BooleanProperty',
+          type: 'boolean',
+          title: 'Audible Signal',
+          description: 'Sound a warning while the door is moving',
+        },
+        audibleValueId
+      );
+    }
+    const visualValueId =
+      node.findValueId(COMMAND_CLASS.BARRIER_OPERATOR,
+                       1,
+                       BARRIER_OPERATOR_INDEX.VISUAL);
+    if (visualValueId) {
+      this.addProperty(
+        node,
+        'visualSignal',
+        {
+          '@type': 'BooleanProperty',
+          type: 'boolean',
+          title: 'Visual Signal',
+          description: 'Flash a light while the door is moving',
+        },
+        visualValueId
+      );
+    }
+
+    this.addActions(node, {
+      open: {
+        title: 'Open',
+        description: 'Open the door',
+      },
+      close: {
+        title: 'Close',
+        description: 'Close the door',
+      },
+    });
+  }
+
   initThermostat(node) {
     node.name = `${node.id}-Thermostat`;
     node['@type'] = ['Thermostat'];
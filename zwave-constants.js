@@ -26,6 +26,7 @@ const COMMAND_CLASS = {
   SENSOR_BINARY: 48,          // 0x30
   SENSOR_MULTILEVEL: 49,      // 0x31
   COLOR: 51,                  // 0x33
+  METER_PULSE: 53,            // 0x35
   METER: 50,                  // 0x32
   THERMOSTAT_MODE: 64,        // 0x40
   THERMOSTAT_OPERATING_STATE: 66, // 0x42
@@ -37,11 +38,13 @@ const COMMAND_CLASS = {
   ZWAVE_PLUS_INFO: 94,        // 0x5e
   DOOR_LOCK: 98,              // 0x62
   USER_CODE: 99,              // 0x63
+  BARRIER_OPERATOR: 102,      // 0x66
   CONFIGURATION: 112,         // 0x70
   ALARM: 113,                 // 0x71
   MANUFACTURER_SPECIFIC: 114, // 0x72
   POWER_LEVEL: 115,           // 0x73
   PROTECTION: 117,            // 0x75
+  SOUND_SWITCH: 121,          // 0x79
   BATTERY: 128,               // 0x80
   CLOCK: 129,                 // 0x81
   WAKE_UP: 132,               // 0x84
@@ -51,6 +54,18 @@ const COMMAND_CLASS = {
 };
 addInverseMap(COMMAND_CLASS);
 
+// From cpp/src/command_classes/BarrierOperator.cpp ValueIDSystemIndexes
+// COMMAND is a list which opens or closes the barrier, and LABEL is a list
+// with its current state (Closed, Closing, Stopped, Opening, Opened or
+// Unknown).
+const BARRIER_OPERATOR_INDEX = {
+  COMMAND: 0,
+  LABEL: 1,
+  SUPPORTED_SIGNALS: 2,
+  AUDIBLE: 3,
+  VISUAL: 4,
+};
+
 // From cpp/src/command_classes/CentralScene.cpp#L51
 // For 1.4, the SCENE_COUNT has a value of 0, for 1.5 it has a value of
 // 256
@@ -59,6 +74,42 @@ const CENTRAL_SCENE = {
   TIMEOUT: 257,           // 0x101
 };
 
+// From cpp/src/command_classes/SoundSwitch.cpp ValueIDSystemIndexes
+// TONES is a list of the device's tones (starting with Off), and setting
+// it plays (or stops) a tone. DEFAULT_TONE is the tone played when the
+// device is switched on.
+const SOUND_SWITCH_INDEX = {
+  TONE_COUNT: 0,
+  TONES: 1,
+  VOLUME: 2,
+  DEFAULT_TONE: 3,
+};
+
+// From cpp/src/command_classes/Version.cpp
+const VERSION_INDEX = {
+  LIBRARY: 0,
+  PROTOCOL: 1,
+  APPLICATION: 2,
+};
+
+// From cpp/src/command_classes/WakeUp.cpp ValueIDSystemIndexes
+const WAKE_UP_INDEX = {
+  INTERVAL: 0,
+  MIN_INTERVAL: 1,
+  MAX_INTERVAL: 2,
+  DEFAULT_INTERVAL: 3,
+  INTERVAL_STEP: 4,
+};
+
+// From cpp/src/command_classes/ManufacturerSpecific.cpp
+const MANUFACTURER_SPECIFIC_INDEX = {
+  LOADED_CONFIG: 0,
+  LOCAL_CONFIG: 1,
+  LATEST_CONFIG: 2,
+  DEVICE_ID: 3,
+  SERIAL_NUMBER: 4,
+};
+
 // From cpp/src/command_classes/Color.cpp ValueIDSystemIndexes
 const COLOR_INDEX = {
   COLOR: 0,
@@ -79,6 +130,59 @@ const COLOR_CAPABILITY = {
   // INDEXED: 8,
 };
 
+// From the ControllerState enum in cpp/src/Driver.h
+const CONTROLLER_STATE_STR = {
+  0: 'Normal',
+  1: 'Starting',
+  2: 'Cancel',
+  3: 'Error',
+  4: 'Waiting',
+  5: 'Sleeping',
+  6: 'In Progress',
+  7: 'Completed',
+  8: 'Failed',
+  9: 'Node OK',
+  10: 'Node Failed',
+};
+
+// From the ControllerError enum in cpp/src/Driver.h
+const CONTROLLER_ERROR_STR = {
+  0: 'None',
+  1: 'Button Not Found',
+  2: 'Node Not Found',
+  3: 'Not Bridge',
+  4: 'Not SUC',
+  5: 'Not Secondary',
+  6: 'Not Primary',
+  7: 'Is Primary',
+  8: 'Not Found',
+  9: 'Busy',
+  10: 'Failed',
+  11: 'Disabled',
+  12: 'Overflow',
+};
+
+// From the ControllerCommand enum in cpp/src/Driver.h
+const CONTROLLER_COMMAND_STR = {
+  0: 'None',
+  1: 'Add Device',
+  2: 'Create New Primary',
+  3: 'Receive Configuration',
+  4: 'Remove Device',
+  5: 'Remove Failed Node',
+  6: 'Has Node Failed',
+  7: 'Replace Failed Node',
+  8: 'Transfer Primary Role',
+  9: 'Request Network Update',
+  10: 'Request Node Neighbor Update',
+  11: 'Assign Return Route',
+  12: 'Delete All Return Routes',
+  13: 'Send Node Information',
+  14: 'Replication Send',
+  15: 'Create Button',
+  16: 'Delete Button',
+};
+
 // These come from the SDS14224-Z-Wave-Plus-v2-Device-Type-Specification.pdf
 // docuemmmmt. Under https://www.silabs.com/documents/login/miscellaneous/
 const GENERIC_TYPE_STR = {
@@ -109,18 +213,39 @@ const GENERIC_TYPE_STR = {
   0xA1: 'Sensor Alarm',
 };
 
-const GENERIC_TYPE = {};
-const entries = Object.entries(GENERIC_TYPE_STR);
-for (const [key, value] of entries) {
-  const newValue = value.toUpperCase().replace(' ', '_');
-  GENERIC_TYPE[newValue] = parseInt(key);
+// Creates a dictionary which maps names like 'IN_PROGRESS' onto the
+// numeric keys of dict (which would contain 'In Progress').
+function makeEnum(dict) {
+  const enumDict = {};
+  const entries = Object.entries(dict);
+  for (const [key, value] of entries) {
+    const newValue = value.toUpperCase().replace(/ /g, '_');
+    enumDict[newValue] = parseInt(key);
+  }
+  return enumDict;
 }
 
+const CONTROLLER_COMMAND = makeEnum(CONTROLLER_COMMAND_STR);
+const CONTROLLER_ERROR = makeEnum(CONTROLLER_ERROR_STR);
+const CONTROLLER_STATE = makeEnum(CONTROLLER_STATE_STR);
+const GENERIC_TYPE = makeEnum(GENERIC_TYPE_STR);
+
 module.exports = {
+  BARRIER_OPERATOR_INDEX,
   COMMAND_CLASS,
   CENTRAL_SCENE,
   COLOR_CAPABILITY,
   COLOR_INDEX,
+  CONTROLLER_COMMAND,
+  CONTROLLER_COMMAND_STR,
+  CONTROLLER_ERROR,
+  CONTROLLER_ERROR_STR,
+  CONTROLLER_STATE,
+  CONTROLLER_STATE_STR,
   GENERIC_TYPE,
   GENERIC_TYPE_STR,
+  MANUFACTURER_SPECIFIC_INDEX,
+  SOUND_SWITCH_INDEX,
+  VERSION_INDEX,
+  WAKE_UP_INDEX,
 };
@@ -0,0 +1,269 @@
+/**
+ *
+ * ZWaveHealer - Rebuilds the routes on a ZWave network, one node at a time.
+ *
+ * Healing a node asks it to rediscover its neighbours (and updates the
+ * return routes to it), which is needed after devices are moved around.
+ * Nodes are healed one at a time, since the controller can only run one
+ * command at a time.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const {
+  CONTROLLER_COMMAND,
+  CONTROLLER_STATE,
+} = require('./zwave-constants');
+
+// How long to wait for a node to report back before giving up on it and
+// moving on to the next one, in milliseconds.
+const HEAL_NODE_TIMEOUT = 60000;
+
+// Parses a time of day of the form HH:MM. Returns {hours, minutes} or
+// undefined if the time isn't valid.
+function parseTimeOfDay(str) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(`${str || ''}`.trim());
+  if (match) {
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours < 24 && minutes < 60) {
+      return {hours, minutes};
+    }
+  }
+}
+
+class ZWaveHealer {
+  constructor(adapter, config) {
+    this.adapter = adapter;
+    this.queue = [];
+    // The nodeId of the node currently being healed, or null.
+    this.nodeId = null;
+    this.nodeTimer = null;
+    this.scheduleTimer = null;
+    // nodeId => result ('healed', 'failed', etc) from the last heal.
+    this.results = {};
+    this.total = 0;
+
+    if (config.healTime) {
+      this.healTime = parseTimeOfDay(config.healTime);
+      if (this.healTime) {
+        this.scheduleNext();
+      } else {
+        console.warn('ZWaveHealer: ignoring invalid healTime',
+                     `'${config.healTime}' - expecting HH:MM`);
+      }
+    }
+  }
+
+  isHealing() {
+    return this.nodeId !== null;
+  }
+
+  /**
+   * @method status
+   *
+   * Returns a one line description of the heal progress, suitable for
+   * displaying in the UI.
+   */
+  status() {
+    const done = Object.keys(this.results).length;
+    if (this.isHealing()) {
+      return `Healing node ${this.nodeId} (${done + 1} of ${this.total})`;
+    }
+    if (done == 0) {
+      return 'Idle';
+    }
+    const healed = Object.values(this.results).filter((result) => {
+      return result == 'healed';
+    }).length;
+    return `Healed ${healed} of ${done} nodes`;
+  }
+
+  /**
+   * @method healNetwork
+   *
+   * Heals all of the nodes, except for the controller and any nodes
+   * which are known to be dead.
+   */
+  healNetwork() {
+    const controllerNodeId = this.adapter.zwave.getControllerNodeId();
+    const nodeIds = [];
+    for (const nodeId in this.adapter.nodes) {
+      const node = this.adapter.nodes[nodeId];
+      if (node.nodeId == controllerNodeId) {
+        continue;
+      }
+      if (node.dead) {
+        console.log(`node${nodeId}: dead - not healing`);
+        continue;
+      }
+      nodeIds.push(node.nodeId);
+    }
+    return this.start(nodeIds);
+  }
+
+  healNode(nodeId) {
+    return this.start([nodeId]);
+  }
+
+  /**
+   * @method start
+   *
+   * Starts healing the nodes in `nodeIds`. If a heal is already running,
+   * then the nodes are added to the end of it.
+   *
+   * @returns {Boolean} false if the heal couldn't be started.
+   */
+  start(nodeIds) {
+    const adapter = this.adapter;
+    if (adapter.pairing || adapter.removing ||
+        adapter.replacingNodeId !== null) {
+      console.log('ZWaveHealer: cannot heal while adding or removing',
+                  'a device');
+      return false;
+    }
+
+    if (this.isHealing()) {
+      for (const nodeId of nodeIds) {
+        if (nodeId != this.nodeId && !this.queue.includes(nodeId)) {
+          this.queue.push(nodeId);
+          this.total += 1;
+        }
+      }
+      return true;
+    }
+
+    console.log('ZWaveHealer: healing nodes', nodeIds.join(', '));
+    this.results = {};
+    this.queue = nodeIds.slice();
+    this.total = nodeIds.length;
+    this.next();
+    return true;
+  }
+
+  next() {
+    const nodeId = this.queue.shift();
+    if (typeof nodeId === 'undefined') {
+      this.finish();
+      return;
+    }
+    this.nodeId = nodeId;
+    console.log(`node${nodeId}: healing`);
+    this.adapter.zwave.healNetworkNode(nodeId, true);
+    this.nodeTimer = setTimeout(() => {
+      this.nodeHealed(nodeId, 'timed out');
+    }, HEAL_NODE_TIMEOUT);
+    this.adapter.updateControllerProperties();
+  }
+
+  nodeHealed(nodeId, result) {
+    if (nodeId !== this.nodeId) {
+      return;
+    }
+    clearTimeout(this.nodeTimer);
+    this.nodeTimer = null;
+    console.log(`node${nodeId}: heal ${result}`);
+    this.results[nodeId] = result;
+    const node = this.adapter.nodes[nodeId];
+    if (node) {
+      node.setHealResult(result);
+    }
+    this.nodeId = null;
+    this.next();
+  }
+
+  finish() {
+    console.log('ZWaveHealer: heal finished');
+    for (const nodeId in this.results) {
+      console.log(`ZWaveHealer:   node${nodeId}: ${this.results[nodeId]}`);
+    }
+    this.adapter.updateControllerProperties();
+  }
+
+  /**
+   * @method stop
+   *
+   * Abandons the heal, i.e. because a device is about to be added or
+   * removed.
+   */
+  stop(reason) {
+    if (!this.isHealing()) {
+      return;
+    }
+    console.log('ZWaveHealer: stopping heal -', reason);
+    clearTimeout(this.nodeTimer);
+    this.nodeTimer = null;
+    for (const nodeId of [this.nodeId].concat(this.queue)) {
+      this.results[nodeId] = 'cancelled';
+      const node = this.adapter.nodes[nodeId];
+      if (node) {
+        node.setHealResult('cancelled');
+      }
+    }
+    this.queue = [];
+    this.nodeId = null;
+    this.adapter.zwave.cancelControllerCommand();
+    this.adapter.updateControllerProperties();
+  }
+
+  // Called with the feedback from the controller command which
+  // healNetworkNode started. Only one node is healed at a time, so the
+  // feedback is for the node currently being healed.
+  controllerCommand(state, command) {
+    if (command != CONTROLLER_COMMAND.REQUEST_NODE_NEIGHBOR_UPDATE) {
+      return;
+    }
+    switch (state) {
+      case CONTROLLER_STATE.COMPLETED:
+        this.nodeHealed(this.nodeId, 'healed');
+        break;
+      case CONTROLLER_STATE.ERROR:
+      case CONTROLLER_STATE.FAILED:
+        this.nodeHealed(this.nodeId, 'failed');
+        break;
+      case CONTROLLER_STATE.SLEEPING:
+        // OpenZWave will heal the node the next time that it wakes up.
+        this.nodeHealed(this.nodeId, 'queued until awake');
+        break;
+    }
+  }
+
+  scheduleNext() {
+    const now = new Date();
+    const next = new Date(now);
+    next.setHours(this.healTime.hours, this.healTime.minutes, 0, 0);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    this.scheduleTimer = setTimeout(this.scheduledHeal.bind(this),
+                                    next - now);
+  }
+
+  scheduledHeal() {
+    if (this.adapter.ready) {
+      console.log('ZWaveHealer: starting scheduled heal');
+      this.healNetwork();
+    } else {
+      console.log('ZWaveHealer: network not ready - skipping scheduled heal');
+    }
+    this.scheduleNext();
+  }
+
+  unload() {
+    if (this.scheduleTimer) {
+      clearTimeout(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+    clearTimeout(this.nodeTimer);
+    this.nodeTimer = null;
+  }
+}
+
+module.exports = {
+  parseTimeOfDay,
+  ZWaveHealer,
+};
@@ -0,0 +1,213 @@
+/**
+ *
+ * ZWaveIdentities - Remembers which Thing each ZWave device belongs to.
+ *
+ * Device ids are made from the HomeID and NodeID, so re-including a device
+ * (or including it into a replacement dongle) would normally create a new
+ * Thing. The identities file maps each physical device (identified by its
+ * manufacturer, product and serial number) to its Thing, and remembers
+ * which nodes have taken over another node's Thing, so that the adapter
+ * can keep using the old Thing. It also remembers the HomeID of the
+ * dongle, so that the adapter can tell when the dongle has been replaced
+ * (or factory reset) and offer to migrate the old Things.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  COMMAND_CLASS,
+  MANUFACTURER_SPECIFIC_INDEX,
+} = require('./zwave-constants');
+
+const IDENTITIES_FILE = 'identities.json';
+
+class ZWaveIdentities {
+  constructor(dataDir) {
+    this.path = path.join(dataDir, IDENTITIES_FILE);
+    // The original id of a node (zwave-homeId-nodeId) => the id of the
+    // Thing which it uses instead.
+    this.nodes = {};
+    // Device key (see deviceKey) => the id of the device's Thing.
+    this.devices = {};
+    // Thing id => product key (see productKey) of the device which used
+    // it, so that Things can be matched to devices without serial numbers.
+    this.products = {};
+    // Thing id => the title the Thing was last saved with. The Thing is
+    // removed from the gateway when its device is excluded, so this is
+    // how a device which takes it over gets its name back.
+    this.titles = {};
+    // The HomeID (as a hex string) of the dongle which was last used, and
+    // of the one before it, if there are still Things to migrate from it.
+    this.homeId = '';
+    this.previousHomeId = '';
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return;
+    }
+    try {
+      const json = JSON.parse(fs.readFileSync(this.path));
+      this.nodes = json.nodes || {};
+      this.devices = json.devices || {};
+      this.products = json.products || {};
+      this.titles = json.titles || {};
+      this.homeId = json.homeId || '';
+      this.previousHomeId = json.previousHomeId || '';
+    } catch (err) {
+      console.error('ZWaveIdentities: unable to read', this.path, err);
+    }
+  }
+
+  save() {
+    const json = {
+      homeId: this.homeId,
+      previousHomeId: this.previousHomeId,
+      nodes: this.nodes,
+      devices: this.devices,
+      products: this.products,
+      titles: this.titles,
+    };
+    try {
+      fs.writeFileSync(this.path, `${JSON.stringify(json, null, 2)}\n`);
+    } catch (err) {
+      console.error('ZWaveIdentities: unable to write', this.path, err);
+    }
+  }
+
+  // Returns a key which identifies the make and model of `node`.
+  static productKey(node) {
+    const zwInfo = node.zwInfo;
+    if (!zwInfo.manufacturerId) {
+      return;
+    }
+    return `${zwInfo.manufacturerId}-${zwInfo.productType}-${
+      zwInfo.productId}`;
+  }
+
+  /**
+   * @method deviceKey
+   *
+   * Returns a key which identifies the physical device which `node`
+   * represents, or undefined if the device doesn't report a serial number
+   * (or hasn't been interviewed yet).
+   */
+  static deviceKey(node) {
+    const productKey = ZWaveIdentities.productKey(node);
+    let serial;
+    for (const index of [MANUFACTURER_SPECIFIC_INDEX.SERIAL_NUMBER,
+                         MANUFACTURER_SPECIFIC_INDEX.DEVICE_ID]) {
+      const valueId = node.findValueId(COMMAND_CLASS.MANUFACTURER_SPECIFIC,
+                                       1, index);
+      const value = valueId && `${node.zwValues[valueId].value || ''}`;
+      // Some devices report a serial number of all zeros.
+      if (value && !/^0*$/.test(value)) {
+        serial = value;
+        break;
+      }
+    }
+    if (!serial || !productKey) {
+      return;
+    }
+    return `${productKey}-${serial}`;
+  }
+
+  /**
+   * @method lookup
+   *
+   * Returns the id of the Thing which `node` used before, or undefined if
+   * it's not known.
+   */
+  lookup(node) {
+    if (this.nodes.hasOwnProperty(node.originalId)) {
+      return this.nodes[node.originalId];
+    }
+    const key = ZWaveIdentities.deviceKey(node);
+    if (key && this.devices.hasOwnProperty(key)) {
+      return this.devices[key];
+    }
+  }
+
+  // Records the Thing which `node` is using.
+  remember(node) {
+    let changed = false;
+    if (node.id == node.originalId) {
+      if (this.nodes.hasOwnProperty(node.originalId)) {
+        delete this.nodes[node.originalId];
+        changed = true;
+      }
+    } else if (this.nodes[node.originalId] !== node.id) {
+      this.nodes[node.originalId] = node.id;
+      changed = true;
+    }
+    const key = ZWaveIdentities.deviceKey(node);
+    if (key && this.devices[key] !== node.id) {
+      this.devices[key] = node.id;
+      changed = true;
+    }
+    const productKey = ZWaveIdentities.productKey(node);
+    if (productKey && this.products[node.id] !== productKey) {
+      this.products[node.id] = productKey;
+      changed = true;
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  // Records the title which the Thing `thingId` was saved with.
+  rememberTitle(thingId, title) {
+    if (title && this.titles[thingId] !== title) {
+      this.titles[thingId] = title;
+      this.save();
+    }
+  }
+
+  /**
+   * @method setHomeId
+   *
+   * Records the HomeID of the dongle. If it's different from the one we
+   * used last time, then the old one is remembered as previousHomeId, and
+   * true is returned.
+   */
+  setHomeId(homeId) {
+    if (homeId == this.homeId) {
+      return false;
+    }
+    const changed = this.homeId !== '';
+    if (changed) {
+      this.previousHomeId = this.homeId;
+    }
+    this.homeId = homeId;
+    this.save();
+    return changed;
+  }
+
+  // Called once there's nothing left to migrate from the previous dongle.
+  clearPreviousHomeId() {
+    if (this.previousHomeId) {
+      this.previousHomeId = '';
+      this.save();
+    }
+  }
+
+  // Called when a node leaves the network. Its NodeID may be reused by a
+  // different device, so the node no longer maps to a Thing, but the
+  // device is remembered in case it's included again.
+  forget(node) {
+    if (this.nodes.hasOwnProperty(node.originalId)) {
+      delete this.nodes[node.originalId];
+      this.save();
+    }
+  }
+}
+
+module.exports = ZWaveIdentities;
@@ -19,8 +19,18 @@ const {
   CENTRAL_SCENE,
   COMMAND_CLASS,
   GENERIC_TYPE_STR,
+  WAKE_UP_INDEX,
 } = require('./zwave-constants');
 
+// A sleeping device is considered to be disconnected once it has missed
+// this many wake-ups (plus a little grace) without us hearing from it.
+const WAKE_UP_OVERDUE_INTERVALS = 2;
+const WAKE_UP_OVERDUE_GRACE = 10 * 60 * 1000;
+
+// How long a garage door (or gate) has to finish opening or closing
+// before we decide that it's jammed.
+const BARRIER_TIMEOUT = 60 * 1000;
+
 const BASIC_STR = [
   '???',
   'Controller',
@@ -43,9 +53,13 @@ class ZWaveNode extends Device {
     // to the controller id and use that as the device's id.
     const deviceId = `${adapter.id.toString(16)}-${nodeId}`;
     super(adapter, deviceId);
+    // The id may be changed to that of the Thing which this node replaces
+    // (see ZWaveIdentities), so remember the one we started with.
+    this.originalId = deviceId;
 
     this.zwInfo = {
       location: '',
+      name: '',
       nodeId: nodeId,
       manufacturer: '',
       manufacturerId: '',
@@ -61,9 +75,21 @@ class ZWaveNode extends Device {
     this.zwValues = {};
     this.ready = false;
     this.lastStatus = 'constructed';
+    // Set by the dead/alive notifications. Unlike lastStatus, this isn't
+    // overwritten when values are added or changed.
+    this.dead = false;
     this.disablePoll = false;
     this.canSleep = false;
     this.classified = false;
+    // Whether the gateway has been told that this device is connected.
+    this.connected = true;
+    this.wakeUpOverdue = false;
+    this.wakeUpTimer = null;
+    this.toneTimer = null;
+    this.barrierTimeout = null;
+    this.pressedZwValue = null;
+    // When we last received anything from the node.
+    this.lastSeen = null;
   }
 
   asDict() {
@@ -299,6 +325,134 @@ class ZWaveNode extends Device {
     }
   }
 
+  /**
+   * @method heardFrom
+   *
+   * Called whenever the node communicates with us. This records the time
+   * (which the controller's diagnostics show) and, for sleeping devices,
+   * restarts the timer which detects that a wake-up is overdue.
+   */
+  heardFrom() {
+    this.lastSeen = new Date();
+    this.adapter.diagnosticsChanged(this);
+    if (this.wakeUpTimer) {
+      this.startWakeUpTimer();
+    }
+    if (this.wakeUpOverdue) {
+      console.log(`node${this.zwInfo.nodeId}: heard from again`);
+      this.wakeUpOverdue = false;
+      this.setConnected(!this.dead);
+    }
+  }
+
+  /**
+   * @method notificationReceived
+   *
+   * Called by the adapter when OpenZWave sends a notification about the
+   * state of the node.
+   */
+  notificationReceived(lastStatus) {
+    this.lastStatus = lastStatus;
+    switch (lastStatus) {
+      case 'dead':
+        this.dead = true;
+        this.setConnected(false);
+        break;
+      case 'alive':
+      case 'awake':
+      case 'msgCmplt':
+        this.dead = false;
+        this.heardFrom();
+        this.setConnected(true);
+        break;
+      case 'sleeping':
+        this.canSleep = true;
+        this.startWakeUpTimer();
+        break;
+    }
+  }
+
+  /**
+   * @method setConnected
+   *
+   * Tells the gateway whether the device is reachable. Until the node
+   * has been added to the gateway we just remember the state, and the
+   * adapter reports it once the node has been added.
+   */
+  setConnected(connected) {
+    if (connected === this.connected) {
+      return;
+    }
+    this.connected = connected;
+    if (this.classified) {
+      console.log(`node${this.zwInfo.nodeId}:`,
+                  connected ? 'connected' : 'disconnected');
+      this.connectedNotify(connected);
+    }
+  }
+
+  // Returns the wake-up interval of a sleeping device, in seconds, or 0
+  // if it doesn't wake up periodically.
+  getWakeUpInterval() {
+    const valueId = this.findValueId(COMMAND_CLASS.WAKE_UP, 1,
+                                     WAKE_UP_INDEX.INTERVAL);
+    if (valueId) {
+      return this.zwValues[valueId].value || 0;
+    }
+    return 0;
+  }
+
+  startWakeUpTimer() {
+    this.stopWakeUpTimer();
+    const wakeUpInterval = this.getWakeUpInterval();
+    if (wakeUpInterval <= 0) {
+      return;
+    }
+    const timeout = wakeUpInterval * 1000 * WAKE_UP_OVERDUE_INTERVALS +
+                    WAKE_UP_OVERDUE_GRACE;
+    this.wakeUpTimer = setTimeout(() => {
+      console.log(`node${this.zwInfo.nodeId}: wake-up overdue`);
+      this.wakeUpOverdue = true;
+      this.setConnected(false);
+    }, timeout);
+  }
+
+  stopWakeUpTimer() {
+    if (this.wakeUpTimer) {
+      clearTimeout(this.wakeUpTimer);
+      this.wakeUpTimer = null;
+    }
+  }
+
+  /**
+   * @method stopTimers
+   *
+   * Stops all of the node's timers (the wake-up timer, and those started
+   * by the siren and garage door actions), since the node is going away.
+   */
+  stopTimers() {
+    this.stopWakeUpTimer();
+    if (this.toneTimer) {
+      clearTimeout(this.toneTimer);
+      this.toneTimer = null;
+    }
+    if (this.barrierTimeout) {
+      clearTimeout(this.barrierTimeout);
+      this.barrierTimeout = null;
+    }
+  }
+
+  /**
+   * @method setHealResult
+   *
+   * Records the result of the last heal of this node, which the controller
+   * shows in its Heal Result property.
+   */
+  setHealResult(result) {
+    this.healResult = result;
+    this.adapter.diagnosticsChanged(this);
+  }
+
   notifyEvent(eventName, eventData) {
     if (eventData) {
       console.log(this.name, 'event:', eventName, 'data:', eventData);
@@ -366,6 +520,9 @@ class ZWaveNode extends Device {
     if (this.doorLockAction) {
       return Promise.reject('Lock/Unlock already in progress - ignoring');
     }
+    if (this.barrierAction) {
+      return Promise.reject('Open/Close already in progress - ignoring');
+    }
 
     action.start();
     switch (action.name) {
@@ -392,6 +549,63 @@ class ZWaveNode extends Device {
         this.setPropertyValue(this.doorLockState, 'unknown');
         break;
 
+      case 'open':
+      case 'close':
+      case 'stop':
+        if (this.barrierProperty) {
+          return this.moveBarrier(action);
+        }
+        this.moveWindowCovering(action.name);
+        action.finish();
+        return Promise.resolve();
+
+      case 'resetMeter':
+        this.resetMeter();
+        action.finish();
+        return Promise.resolve();
+
+      case 'playTone':
+        action.finish();
+        return this.playTone(action.input.tone, action.input.duration);
+
+      case 'showDiagnostics':
+        action.finish();
+        return this.adapter.showDiagnostics(action.input.nodeId);
+
+      case 'healNetwork':
+        this.adapter.healNetwork();
+        action.finish();
+        return Promise.resolve();
+
+      case 'healNode':
+        action.finish();
+        return this.adapter.healNode(action.input.nodeId);
+
+      case 'replaceDevice':
+        action.finish();
+        return this.adapter.replaceDevice(action.input.nodeId,
+                                          action.input.deviceId);
+
+      case 'replaceFailedNode':
+        this.adapter.replaceFailedNode(action.input.nodeId);
+        action.finish();
+        return Promise.resolve();
+
+      case 'migrateDevices':
+        this.adapter.migrateDevices();
+        action.finish();
+        return Promise.resolve();
+
+      case 'softReset':
+        this.adapter.softReset();
+        action.finish();
+        return Promise.resolve();
+
+      case 'cancelControllerCommand':
+        this.adapter.cancelControllerCommand();
+        action.finish();
+        return Promise.resolve();
+
       default:
         action.finish();
         return Promise.reject(`Unrecognized action: ${action.name}`);
@@ -411,6 +625,118 @@ class ZWaveNode extends Device {
     return Promise.resolve();
   }
 
+  /**
+   * @method moveWindowCovering
+   *
+   * Starts opening or closing a window covering, or stops it from moving.
+   */
+  moveWindowCovering(direction) {
+    const zwave = this.adapter.zwave;
+    const openZwValue = this.zwValues[this.openValueId];
+    const closeZwValue = this.zwValues[this.closeValueId];
+    switch (direction) {
+      case 'open':
+        this.pressedZwValue = openZwValue;
+        zwave.pressButton(openZwValue);
+        break;
+      case 'close':
+        this.pressedZwValue = closeZwValue;
+        zwave.pressButton(closeZwValue);
+        break;
+      case 'stop':
+        // Releasing the button which was pressed stops the movement. If
+        // we didn't start it (i.e. it was started from a wall switch),
+        // releasing either button will do.
+        zwave.releaseButton(this.pressedZwValue || openZwValue);
+        this.pressedZwValue = null;
+        break;
+    }
+  }
+
+  /**
+   * @method moveBarrier
+   *
+   * Starts opening or closing a garage door (or gate). The action
+   * finishes once the door stops moving. If it doesn't stop within
+   * BARRIER_TIMEOUT, then it's assumed to be jammed.
+   */
+  moveBarrier(action) {
+    if (action.name == 'stop') {
+      action.finish();
+      return Promise.reject('Garage doors can only be opened or closed');
+    }
+    const target = action.name == 'open' ? 'open' : 'closed';
+    if (this.barrierState.value === target) {
+      console.log(`Door already ${target} - ignoring`);
+      action.finish();
+      return Promise.resolve();
+    }
+
+    // The command is a list, with items like Close and Open.
+    const zwValue = this.zwValues[this.barrierCommandValueId];
+    const zwData = zwValue.values.find((item) => {
+      return item.toLowerCase().startsWith(action.name);
+    });
+    if (!zwData) {
+      action.finish();
+      return Promise.reject(`No ${action.name} command for ${this.id}`);
+    }
+    this.barrierAction = action;
+    this.adapter.zwave.setValue(zwValue.node_id, zwValue.class_id,
+                                zwValue.instance, zwValue.index, zwData);
+    this.barrierTimeout = setTimeout(() => {
+      // The door didn't stop moving (or never started). Assume jammed.
+      this.barrierTimeout = null;
+      this.setPropertyValue(this.barrierState, 'jammed');
+      const barrierAction = this.barrierAction;
+      if (barrierAction) {
+        this.barrierAction = null;
+        barrierAction.finish();
+      }
+    }, BARRIER_TIMEOUT);
+    return Promise.resolve();
+  }
+
+  // Resets the accumulated values of the meter (i.e. the kWh) to zero,
+  // by pressing OpenZWave's Reset button.
+  resetMeter() {
+    const zwValue = this.zwValues[this.meterResetValueId];
+    if (zwValue) {
+      this.adapter.zwave.pressButton(zwValue);
+      this.adapter.zwave.releaseButton(zwValue);
+    }
+  }
+
+  /**
+   * @method playTone
+   *
+   * Plays one of a siren's tones. If a duration (in seconds) is given,
+   * then the tone is stopped after that long, otherwise it plays for as
+   * long as the device plays it for.
+   */
+  playTone(tone, duration) {
+    const zwValue = this.zwValues[this.tonesValueId];
+    if (!zwValue || !zwValue.values.includes(tone)) {
+      return Promise.reject(`Unknown tone: ${tone}`);
+    }
+    const zwave = this.adapter.zwave;
+    if (this.toneTimer) {
+      clearTimeout(this.toneTimer);
+      this.toneTimer = null;
+    }
+    zwave.setValue(zwValue.node_id, zwValue.class_id,
+                   zwValue.instance, zwValue.index, tone);
+    if (duration) {
+      this.toneTimer = setTimeout(() => {
+        this.toneTimer = null;
+        // The first tone is Off.
+        zwave.setValue(zwValue.node_id, zwValue.class_id,
+                       zwValue.instance, zwValue.index, zwValue.values[0]);
+      }, duration * 1000);
+    }
+    return Promise.resolve();
+  }
+
   // Used to set properties which don't have an associated valueId
   setPropertyValue(property, value) {
     property.setCachedValue(value);
@@ -469,6 +795,7 @@ class ZWaveNode extends Device {
 
   zwValueChanged(comClass, zwValue) {
     this.lastStatus = 'value-changed';
+    this.heardFrom();
     this.zwValues[zwValue.value_id] = zwValue;
     let units = '';
     if (zwValue.units) {
@@ -0,0 +1,198 @@
+/**
+ *
+ * zwave-ports - Locates the serial ports which have ZWave dongles attached.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const SerialPort = require('serialport');
+const {parseTcpAddress} = require('./zwave-tcp-bridge');
+
+// USB vendor/product IDs of dongles which are known to be ZWave
+// controllers. Additional IDs can be supplied through the usbIds option
+// in the add-on configuration.
+const ZWAVE_USB_IDS = [
+  {vendorId: '0658', productId: '0200', name: 'Aeotec Z-Stick Gen-5'},
+  {vendorId: '0658', productId: '0280', name: 'UZB1'},
+  {vendorId: '10c4', productId: 'ea60', name: 'Aeotec Z-Stick S2, Zooz ZST10'},
+];
+
+// Normalizes a USB vendor or product ID (i.e. '0x10C4' becomes '10c4') so
+// that IDs from the config can be compared against the ones reported by
+// SerialPort.list().
+function normalizeUsbId(id) {
+  return `${id || ''}`.trim().toLowerCase().replace(/^0x/, '');
+}
+
+function isHUSBZB1ZWavePort(port) {
+  /**
+   * The popular HUSBZB-1 adapter contains ZWave AND Zigbee radios. With the
+   * most recent drivers from SiLabs, the radios are likely to enumerate in the
+   * following order with the following names:
+   *
+   * /dev/tty.GoControl_zigbee
+   * /dev/tty.GoControl_zwave
+   *
+   * Since `i` comes before `w` when the devices are listed, it's common for the
+   * Zigbee radio to be returned as the ZWave radio. We need to scrutinize the
+   * path of the radio to ensure that we're returning the actual ZWave one.
+   */
+  const isGoControl = port.path.indexOf('GoControl') >= 0;
+  if (isGoControl) {
+    return port.path.indexOf('zwave') >= 0;
+  }
+
+  /**
+   * There is also a chance the radios show up with more typical names, if
+   * they're not using the latest drivers:
+   *
+   * /dev/ttyUSB0
+   * /dev/ttyUSB1
+   *
+   * For now, since there's no good way to distinguish one radio from the
+   * other with these names, and since this configuration was previously
+   * valid below, return true.
+   */
+  return true;
+}
+
+/**
+ * @method matchZWavePort
+ *
+ * Determines whether `port` looks like a ZWave dongle.
+ *
+ * @param {Object} port A port object returned from SerialPort.list()
+ * @param {Array} usbIds Additional {vendorId, productId} pairs to match
+ * @returns {String} A description of the rule which matched, or undefined
+ *                   if the port isn't a ZWave dongle.
+ */
+function matchZWavePort(port, usbIds) {
+  const vendorId = normalizeUsbId(port.vendorId);
+  const productId = normalizeUsbId(port.productId);
+  const usbId = `${vendorId}:${productId}`;
+
+  if (vendorId == '10c4' && productId == '8a2a') {
+    if (isHUSBZB1ZWavePort(port)) {
+      return `usb id ${usbId} (Nortek HUSBZB-1)`;
+    }
+    return;
+  }
+
+  for (const known of ZWAVE_USB_IDS) {
+    if (vendorId == known.vendorId && productId == known.productId) {
+      return `usb id ${usbId} (${known.name})`;
+    }
+  }
+
+  for (const extra of usbIds || []) {
+    if (vendorId == normalizeUsbId(extra.vendorId) &&
+        productId == normalizeUsbId(extra.productId)) {
+      return `usb id ${usbId} (from config)`;
+    }
+  }
+}
+
+// Returns the port objects for the ports listed in the serialPorts config
+// option. Paths are matched against the enumerated ports after resolving
+// symlinks, so stable names like /dev/serial/by-id/... can be used.
+// Network attached controllers are specified as tcp://host:port.
+function configuredPorts(serialPorts, ports) {
+  const zwavePorts = [];
+  for (const portPath of serialPorts) {
+    const tcp = parseTcpAddress(portPath);
+    if (tcp) {
+      zwavePorts.push({
+        path: portPath,
+        tcp: tcp,
+        matchedRule: 'configured network address',
+      });
+      continue;
+    }
+
+    let realPath;
+    try {
+      realPath = fs.realpathSync(portPath);
+    } catch (err) {
+      console.warn('Configured ZWave port', portPath, 'not found - ignoring');
+      continue;
+    }
+    const listedPort = ports.find((port) => {
+      return port.path == portPath || port.path == realPath;
+    });
+
+    // Keep using the configured path, since it's the one the user
+    // expects to be stable.
+    const port = Object.assign({}, listedPort, {path: portPath});
+    port.matchedRule = 'configured path';
+    if (realPath != portPath) {
+      port.matchedRule += ` (${realPath})`;
+    }
+    zwavePorts.push(port);
+  }
+  return zwavePorts;
+}
+
+// Scan the serial ports looking for OpenZWave adapters.
+//
+//    config
+//        The add-on configuration. If config.serialPorts lists any ports
+//        which exist, then those are used. Otherwise the serial ports are
+//        auto-detected using the known USB IDs and config.usbIds.
+//
+//    callback(error, ports)
+//        Upon success, callback is invoked as callback(null, ports) where
+//        `ports` is an array containing the port object from SerialPort.list()
+//        for each ZWave dongle which was found. Each port has a matchedRule
+//        field describing why it was chosen.
+//        Upon failure, callback is invoked as callback(err) instead.
+//
+function findZWavePorts(config, callback) {
+  SerialPort.list().then((ports) => {
+    for (const port of ports) {
+      // Under OSX, SerialPort.list returns the /dev/tty.usbXXX instead
+      // /dev/cu.usbXXX. tty.usbXXX requires DCD to be asserted which
+      // isn't necessarily the case for ZWave dongles. The cu.usbXXX
+      // doesn't care about DCD.
+      if (port.path.startsWith('/dev/tty.usb')) {
+        port.path = port.path.replace('/dev/tty', '/dev/cu');
+      }
+    }
+
+    if (Array.isArray(config.serialPorts) && config.serialPorts.length > 0) {
+      const zwavePorts = configuredPorts(config.serialPorts, ports);
+      if (zwavePorts.length > 0) {
+        callback(null, zwavePorts);
+        return;
+      }
+      console.warn('None of the configured ZWave ports were found -',
+                   'falling back to auto-detection');
+    }
+
+    const zwavePorts = [];
+    for (const port of ports) {
+      const matchedRule = matchZWavePort(port, config.usbIds);
+      if (matchedRule) {
+        port.matchedRule = matchedRule;
+        zwavePorts.push(port);
+      }
+    }
+
+    if (zwavePorts.length == 0) {
+      callback('No ZWave port found');
+      return;
+    }
+    callback(null, zwavePorts);
+  }).catch((error) => {
+    callback(error);
+  });
+}
+
+module.exports = {
+  findZWavePorts,
+  matchZWavePort,
+};
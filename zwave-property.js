@@ -24,6 +24,17 @@ const ALARM_EVENT_HOME_SECURITY_CLEAR = 0;
 const ALARM_EVENT_HOME_SECURITY_TAMPER = 3;
 const ALARM_EVENT_HOME_SECURITY_MOTION = 8;
 
+// Maps the states of a barrier (i.e. garage door), as reported by
+// OpenZWave, onto the values of its doorState property.
+const BARRIER_STATE = {
+  closed: 'closed',
+  closing: 'closing',
+  stopped: 'stopped',
+  opening: 'opening',
+  open: 'open',
+  opened: 'open',
+};
+
 class ZWaveProperty extends Property {
   constructor(device, name, propertyDescr, valueId,
               setZwValueFromValue, parseValueFromZwValue) {
@@ -101,6 +112,39 @@ class ZWaveProperty extends Property {
     return [tamper, tamper.toString()];
   }
 
+  parseBarrierZwValue(zwData) {
+    const value = BARRIER_STATE[`${zwData}`.toLowerCase()] || 'unknown';
+    return [value, `${value} (zw: ${zwData})`];
+  }
+
+  /**
+   * @method parseConfigBooleanZwValue
+   *
+   * Used for configuration parameters which are exposed as booleans. The
+   * parameter can be a bool, a number (where non-zero is true) or a list
+   * (like Disable/Enable, where anything but the first item is true).
+   */
+  parseConfigBooleanZwValue(zwData) {
+    let value;
+    const zwValue = this.device.zwValues[this.valueId];
+    if (typeof zwData === 'string' && zwValue && zwValue.values) {
+      value = zwValue.values.indexOf(zwData) > 0;
+    } else {
+      value = !!zwData;
+    }
+    return [value, `${value} (zw: ${zwData})`];
+  }
+
+  // Used for the properties which expose one bit of a bitset
+  // configuration parameter. OpenZWave numbers the bits from 1, and
+  // openzwave-shared reports the first 7 of them as bits 1 - 7 of the
+  // value, so bit N (numbered from 0, as in the bitMask) is bit N + 1 of
+  // the value. Bits 7 and up aren't reported, so they aren't exposed.
+  parseConfigBitZwValue(zwData) {
+    const value = ((zwData >>> (this.bit + 1)) & 1) == 1;
+    return [value, `bit ${this.bit}: ${value} (zw: ${zwData})`];
+  }
+
   parseConfigListZwValue(zwData) {
     const zwValue = this.device.zwValues[this.valueId];
     if (zwValue) {
@@ -165,6 +209,14 @@ class ZWaveProperty extends Property {
     return [value, `${value} zw: zwData`];
   }
 
+  // Used for the properties which show whether a siren is playing. The
+  // first of the siren's tones is Off.
+  parseToneOnZwValue(zwData) {
+    const zwValue = this.device.zwValues[this.valueId];
+    const value = !!zwValue && zwValue.values.indexOf(zwData) > 0;
+    return [value, `${value} (zw: ${zwData})`];
+  }
+
   parseZwStringToLowerCase(zwData) {
     const value = zwData.toString().toLowerCase();
     return [value, `${value} zw: ${zwData}`];
@@ -211,18 +263,42 @@ class ZWaveProperty extends Property {
     return [value, value];
   }
 
+  /**
+   * @method setConfigBooleanValue
+   *
+   * The counterpart of parseConfigBooleanZwValue. A bool parameter is set
+   * to a boolean, a list to the label of its first (false) or second
+   * (true) item, and a number to 0 or 1.
+   */
+  setConfigBooleanValue(value) {
+    const zwValue = this.device.zwValues[this.valueId];
+    let zwData = value ? 1 : 0;
+    if (zwValue && zwValue.type == 'bool') {
+      zwData = !!value;
+    } else if (zwValue && zwValue.values) {
+      zwData = zwValue.values[zwData];
+    }
+    return [zwData, `${value} (${zwData})`];
+  }
+
+  // Sets one bit of a bitset configuration parameter. OpenZWave sets
+  // the bit given by its position (see setValue), leaving the others.
+  setConfigBitValue(value) {
+    return [!!value, `bit ${this.bit}: ${value}`];
+  }
+
   setConfigListValue(value) {
-    // For a list, the value will be a string. Find the matching
-    // string.
+    // For a list, the value will be a string, which is what OpenZWave
+    // expects. Make sure it's one of the items.
     const zwValue = this.device.zwValues[this.valueId];
-    if (zwValue) {
-      const idx = zwValue.values.indexOf(value);
-      if (idx < 0) {
-        return [0, `${value} not found - using 0`];
+    if (zwValue && zwValue.values.length > 0) {
+      if (!zwValue.values.includes(value)) {
+        const zwData = zwValue.values[0];
+        return [zwData, `${value} not found - using ${zwData}`];
       }
-      return [idx, `${value} (${idx})`];
+      return [value, value];
     }
-    return [0, `valueId ${this.valueId} not found - using 0`];
+    return [value, `valueId ${this.valueId} not found`];
   }
 
   setConfigRGBXValue(value) {
@@ -253,6 +329,17 @@ class ZWaveProperty extends Property {
     return [zwData, `${value} zw: ${zwData}`];
   }
 
+  // Switching a siren on plays its default tone.
+  setToneOnValue(value) {
+    const zwValue = this.device.zwValues[this.valueId];
+    let zwData = zwValue.values[0];
+    if (value) {
+      zwData = zwValue.values.find((item) => /default/i.test(item)) ||
+               zwValue.values[1];
+    }
+    return [zwData, `${value} zw: ${zwData}`];
+  }
+
   setTemperatureValue(value) {
     const zwValue = this.device.zwValues[this.valueId];
     if (zwValue.units === 'F') {
@@ -346,19 +433,13 @@ class ZWaveProperty extends Property {
                 'value:', logData);
 
     if (zwValue.class_id == COMMAND_CLASS.CONFIGURATION) {
-      let size = 2;
-      switch (zwValue.type) {
-        case 'int':
-          size = 4;
-          break;
-        case 'list':
-          size = 1;
-          break;
-      }
-      this.device.adapter.zwave.setConfigParam(zwValue.node_id,
-                                               zwValue.index,
-                                               zwValueData,
-                                               size);
+      // Setting the value (rather than using setConfigParam) lets OpenZWave
+      // use the parameter's size from its device database. The bits of a
+      // bitset are set one at a time, by position (starting at 1).
+      const position = zwValue.type == 'bitset' ? [this.bit + 1] : [];
+      this.device.adapter.zwave.setValue(zwValue.node_id, zwValue.class_id,
+                                         zwValue.instance, zwValue.index,
+                                         ...position, zwValueData);
 
       // Indicate that the property changed. It seems that we
       // don't always get updates (in particular, changing the
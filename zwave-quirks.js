@@ -0,0 +1,211 @@
+/**
+ *
+ * zwave-quirks - Loads the device quirks and matches them against nodes.
+ *
+ * Quirks describe devices which need special treatment: configuration
+ * parameters to set, properties to exclude, and so on. They're read from
+ * the descriptor files (.json or .js) in the quirks directory, and from
+ * the user's quirks directory, so that a new device can be fixed without
+ * waiting for a release. The per-device overrides from the add-on config
+ * are turned into quirks which take precedence over all of the others.
+ * See Overview.md for the format.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  COMMAND_CLASS,
+  VERSION_INDEX,
+} = require('./zwave-constants');
+
+// The newest version of the descriptor format which we understand.
+const QUIRKS_VERSION = 1;
+
+const BUILTIN_QUIRKS_DIR = path.join(__dirname, 'quirks');
+
+// Older quirks used productIds to list several products.
+const ZWINFO_ALIASES = {
+  productIds: 'productId',
+  productTypes: 'productType',
+};
+
+// The zwInfo fields which an override from the add-on config can match.
+const OVERRIDE_ZWINFO_FIELDS = ['manufacturerId', 'productType', 'productId'];
+
+const quirks = [];
+const overrides = [];
+const loadedDirs = new Set();
+
+/**
+ * @method loadQuirks
+ *
+ * Loads the descriptor files from `dir`, in alphabetical order. Quirks
+ * which are loaded later take precedence, so the user's quirks should be
+ * loaded after the built-in ones. Each directory is only loaded once.
+ */
+function loadQuirks(dir) {
+  if (loadedDirs.has(dir)) {
+    return;
+  }
+  loadedDirs.add(dir);
+
+  let filenames;
+  try {
+    filenames = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Unable to read quirks directory', dir, err);
+    }
+    return;
+  }
+  filenames = filenames.filter((filename) => /\.(js|json)$/.test(filename));
+  for (const filename of filenames.sort()) {
+    const pathname = path.join(dir, filename);
+    let descr;
+    try {
+      descr = require(pathname);
+    } catch (err) {
+      console.error('Unable to load quirks from', pathname, err);
+      continue;
+    }
+    if (!Number.isInteger(descr.version) || descr.version > QUIRKS_VERSION ||
+        !Array.isArray(descr.quirks)) {
+      console.error('Ignoring quirks from', pathname,
+                    `- expecting version ${QUIRKS_VERSION} or older`);
+      continue;
+    }
+    for (const quirk of descr.quirks) {
+      quirk.source = pathname;
+      quirks.push(quirk);
+    }
+  }
+}
+
+/**
+ * @method setOverrides
+ *
+ * Replaces the overrides with the deviceOverrides from the add-on config.
+ * Each override applies to a device id (i.e. zwave-e2f4a1c3-5), or to
+ * all of the devices with the given manufacturer/product ids, and can
+ * contain any of the settings which a quirk can.
+ */
+function setOverrides(deviceOverrides) {
+  overrides.length = 0;
+  for (const override of deviceOverrides || []) {
+    const quirk = {
+      source: 'add-on config',
+      zwInfo: {},
+    };
+    for (const key in override) {
+      if (OVERRIDE_ZWINFO_FIELDS.includes(key)) {
+        quirk.zwInfo[key] = override[key];
+      } else {
+        quirk[key] = override[key];
+      }
+    }
+    if (!quirk.deviceId && !quirk.zwInfo.manufacturerId) {
+      console.error('Ignoring device override without a deviceId or',
+                    'manufacturerId:', JSON.stringify(override));
+      continue;
+    }
+    overrides.push(quirk);
+  }
+}
+
+// Returns the application (firmware) version reported by the node, e.g.
+// '1.07', or undefined if it's not known.
+function firmwareVersion(node) {
+  const valueId = node.findValueId(COMMAND_CLASS.VERSION, 1,
+                                   VERSION_INDEX.APPLICATION);
+  if (valueId) {
+    return node.zwValues[valueId].value;
+  }
+}
+
+// Compares 2 dotted version numbers, like '1.07' and '1.12'.
+function compareVersions(a, b) {
+  const aParts = `${a}`.split('.').map((part) => parseInt(part));
+  const bParts = `${b}`.split('.').map((part) => parseInt(part));
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const diff = (aParts[i] || 0) - (bParts[i] || 0);
+    if (diff != 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
+// Compares 2 values of a zwInfo field. Ids are hex strings (i.e. '0x0060')
+// so they're compared numerically. The result is NaN if the values can't
+// be compared.
+function compareValues(field, a, b) {
+  if (field == 'firmwareVersion') {
+    return compareVersions(a, b);
+  }
+  return parseInt(a) - parseInt(b);
+}
+
+// A pattern is a value, a {min, max} range (either end may be omitted) or
+// an array of values and ranges.
+function valueMatches(field, value, pattern) {
+  if (typeof value === 'undefined') {
+    return false;
+  }
+  if (Array.isArray(pattern)) {
+    return pattern.some((item) => valueMatches(field, value, item));
+  }
+  if (pattern !== null && typeof pattern === 'object') {
+    return (!pattern.hasOwnProperty('min') ||
+            compareValues(field, value, pattern.min) >= 0) &&
+           (!pattern.hasOwnProperty('max') ||
+            compareValues(field, value, pattern.max) <= 0);
+  }
+  return value === pattern || compareValues(field, value, pattern) === 0;
+}
+
+/**
+ * @method quirkMatches
+ *
+ * Determines whether all of the fields in the quirk's zwInfo match the
+ * node. As well as the fields of node.zwInfo, firmwareVersion can be used
+ * to match the application version reported by the device. Quirks from
+ * the overrides may also have a deviceId.
+ */
+function quirkMatches(quirk, node) {
+  if (quirk.deviceId && quirk.deviceId !== node.id) {
+    return false;
+  }
+  for (const key in quirk.zwInfo) {
+    const field = ZWINFO_ALIASES[key] || key;
+    const value = field == 'firmwareVersion' ?
+      firmwareVersion(node) :
+      node.zwInfo[field];
+    if (!valueMatches(field, value, quirk.zwInfo[key])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Returns the quirks which apply to `node`, in order of precedence.
+function matchingQuirks(node) {
+  return quirks.concat(overrides).filter((quirk) => {
+    return quirkMatches(quirk, node);
+  });
+}
+
+loadQuirks(BUILTIN_QUIRKS_DIR);
+
+module.exports = {
+  loadQuirks,
+  matchingQuirks,
+  quirkMatches,
+  setOverrides,
+};
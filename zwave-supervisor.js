@@ -0,0 +1,174 @@
+/**
+ *
+ * ZWaveSupervisor - Watches a ZWaveAdapter and brings it back to life
+ *                   when the driver fails or the dongle is unplugged.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const fs = require('fs');
+const {findZWavePorts} = require('./zwave-ports');
+
+// How often to check that the serial port is still present, in
+// milliseconds.
+const PORT_CHECK_INTERVAL = 5000;
+
+// Delays between attempts to find the dongle again, in milliseconds. The
+// delay doubles after each failed attempt, up to the maximum.
+const RECOVERY_DELAY_MIN = 2000;
+const RECOVERY_DELAY_MAX = 300000;
+
+class ZWaveSupervisor {
+  constructor(adapter, config) {
+    this.adapter = adapter;
+    this.config = config;
+    // One of 'running', 'lost' (waiting for the dongle to come back),
+    // 'reconnecting' (waiting for the driver to become ready again) or
+    // 'stopped'.
+    this.state = 'running';
+    this.recoveryDelay = RECOVERY_DELAY_MIN;
+    this.recoveryTimer = null;
+
+    adapter.zwave.on('driver failed', () => {
+      this.recover('driver failed');
+    });
+    adapter.zwave.on('driver ready', this.driverReady.bind(this));
+
+    if (adapter.tcpBridge) {
+      // The bridge reconnects the socket by itself, and the adapter
+      // reconnects OpenZWave when it does, so we just keep track of it.
+      adapter.tcpBridge.on('disconnected', () => {
+        if (this.state == 'running') {
+          console.log('ZWaveSupervisor: lost ZWave controller',
+                      this.adapter.id, '(connection lost)');
+          this.state = 'lost';
+        }
+      });
+      adapter.tcpBridge.on('connected', () => {
+        if (this.state == 'lost') {
+          this.cancelRescan();
+          this.state = 'reconnecting';
+        }
+      });
+    } else {
+      this.portCheckTimer = setInterval(this.checkPort.bind(this),
+                                        PORT_CHECK_INTERVAL);
+    }
+  }
+
+  driverReady(homeId) {
+    if (this.state != 'reconnecting') {
+      return;
+    }
+    if (homeId !== this.adapter.homeId) {
+      // A different dongle showed up where ours used to be, so keep
+      // looking for ours.
+      console.warn('ZWaveSupervisor: found HomeId', homeId.toString(16),
+                   'instead of', this.adapter.homeId.toString(16),
+                   '@', this.adapter.port.path);
+      this.state = 'lost';
+      this.adapter.disconnectZWave();
+      this.scheduleRescan();
+      return;
+    }
+    console.log('ZWaveSupervisor:', this.adapter.port.path, 'recovered');
+    this.state = 'running';
+    this.recoveryDelay = RECOVERY_DELAY_MIN;
+  }
+
+  // Only device files (under /dev) can be checked. Other ports (like
+  // Windows COM ports) rely on the driver failing.
+  checkPort() {
+    const path = this.adapter.port.path;
+    if (!path.startsWith('/dev/')) {
+      return;
+    }
+    if (this.state != 'lost' && !fs.existsSync(path)) {
+      this.recover(`${path} disappeared`);
+    }
+  }
+
+  recover(reason) {
+    if (this.state == 'lost' || this.state == 'stopped') {
+      return;
+    }
+    console.log('ZWaveSupervisor: lost ZWave controller', this.adapter.id,
+                `(${reason})`);
+    this.state = 'lost';
+    this.adapter.setNodesConnected(false);
+    this.adapter.disconnectZWave();
+    this.scheduleRescan();
+  }
+
+  cancelRescan() {
+    if (this.recoveryTimer) {
+      clearTimeout(this.recoveryTimer);
+      this.recoveryTimer = null;
+    }
+  }
+
+  scheduleRescan() {
+    console.log('ZWaveSupervisor: looking for ZWave controller',
+                this.adapter.id, `in ${this.recoveryDelay / 1000} seconds`);
+    this.recoveryTimer = setTimeout(this.rescan.bind(this),
+                                    this.recoveryDelay);
+    this.recoveryDelay = Math.min(this.recoveryDelay * 2, RECOVERY_DELAY_MAX);
+  }
+
+  rescan() {
+    this.recoveryTimer = null;
+    const oldPort = this.adapter.port;
+    if (oldPort.tcp) {
+      this.reconnect(oldPort);
+      return;
+    }
+
+    findZWavePorts(this.config, (error, ports) => {
+      if (this.state != 'lost') {
+        // We were stopped while the scan was running.
+        return;
+      }
+      if (error) {
+        this.scheduleRescan();
+        return;
+      }
+
+      // Only reconnect to the dongle we had before, which may have come
+      // back with a different path. Any other dongle would have a
+      // different network.
+      const port =
+        ports.find((port) => port.path == oldPort.path) ||
+        ports.find((port) => {
+          return oldPort.serialNumber &&
+                 port.serialNumber == oldPort.serialNumber;
+        });
+      if (!port) {
+        this.scheduleRescan();
+        return;
+      }
+      this.reconnect(port);
+    });
+  }
+
+  reconnect(port) {
+    console.log('ZWaveSupervisor: reconnecting ZWave controller',
+                this.adapter.id, '@', port.path);
+    this.state = 'reconnecting';
+    this.adapter.connectZWave(port);
+  }
+
+  stop() {
+    if (this.portCheckTimer) {
+      clearInterval(this.portCheckTimer);
+      this.portCheckTimer = null;
+    }
+    this.cancelRescan();
+    this.state = 'stopped';
+  }
+}
+
+module.exports = ZWaveSupervisor;
@@ -0,0 +1,157 @@
+/**
+ *
+ * ZWaveTcpBridge - Makes a network attached ZWave controller look like a
+ *                  local serial port.
+ *
+ * OpenZWave can only talk to serial devices, so for controllers which are
+ * exported over TCP (i.e. using ser2net), we use socat to create a
+ * pseudo-terminal which is connected to the TCP socket, and point OpenZWave
+ * at the pseudo-terminal instead.
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.*
+ */
+
+'use strict';
+
+const childProcess = require('child_process');
+const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
+
+const {
+  DEBUG_flow,
+} = require('./zwave-debug');
+
+// Reconnection delays, in milliseconds. The delay doubles after each
+// failed attempt, up to the maximum, and goes back to the minimum once
+// a connection succeeds.
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 60000;
+
+// How often to check whether socat has created the pseudo-terminal.
+const PTY_POLL_INTERVAL = 250;
+
+// Parses an address of the form tcp://host:port. Returns an object
+// containing the host and port, or undefined if the address isn't a
+// TCP address.
+function parseTcpAddress(address) {
+  const match = /^tcp:\/\/(.+):(\d+)\/?$/.exec(address);
+  if (match) {
+    return {
+      host: match[1].replace(/^\[(.*)\]$/, '$1'),
+      port: parseInt(match[2]),
+    };
+  }
+}
+
+class ZWaveTcpBridge extends EventEmitter {
+  constructor(host, port, ptyPath) {
+    super();
+    this.host = host;
+    this.port = port;
+    this.ptyPath = ptyPath;
+    this.connected = false;
+    this.stopped = true;
+    this.process = null;
+    this.ptyTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_DELAY_MIN;
+  }
+
+  address() {
+    return `${this.host}:${this.port}`;
+  }
+
+  start() {
+    this.stopped = false;
+    this.spawn();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.process) {
+      this.process.kill();
+    }
+  }
+
+  spawn() {
+    this.reconnectTimer = null;
+    if (this.stopped) {
+      return;
+    }
+
+    DEBUG_flow && console.log('ZWaveTcpBridge: connecting to',
+                              this.address());
+
+    // socat opens the addresses in order, so the pseudo-terminal only
+    // appears once the TCP connection has been established.
+    const proc = childProcess.spawn('socat', [
+      `tcp:${this.address()},nodelay`,
+      `pty,link=${this.ptyPath},raw,echo=0`,
+    ], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    this.process = proc;
+
+    proc.stderr.on('data', (data) => {
+      console.log('ZWaveTcpBridge:', data.toString().trim());
+    });
+
+    proc.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        // No point in retrying.
+        console.error('ZWaveTcpBridge: socat is required to use network',
+                      'attached ZWave controllers, but it isn\'t installed');
+        this.stopped = true;
+      } else {
+        console.error('ZWaveTcpBridge: failed to run socat:', err);
+      }
+    });
+
+    proc.on('close', () => {
+      this.process = null;
+      clearInterval(this.ptyTimer);
+      this.ptyTimer = null;
+      if (this.connected) {
+        console.log('ZWaveTcpBridge: connection to', this.address(), 'lost');
+        this.connected = false;
+        this.emit('disconnected');
+      }
+      this.scheduleReconnect();
+    });
+
+    this.ptyTimer = setInterval(() => {
+      if (fs.existsSync(this.ptyPath)) {
+        clearInterval(this.ptyTimer);
+        this.ptyTimer = null;
+        console.log('ZWaveTcpBridge: connected to', this.address(),
+                    'via', this.ptyPath);
+        this.connected = true;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        this.emit('connected', this.ptyPath);
+      }
+    }, PTY_POLL_INTERVAL);
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) {
+      return;
+    }
+    console.log('ZWaveTcpBridge: reconnecting to', this.address(),
+                `in ${this.reconnectDelay / 1000} seconds`);
+    this.reconnectTimer = setTimeout(this.spawn.bind(this),
+                                     this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2,
+                                   RECONNECT_DELAY_MAX);
+  }
+}
+
+module.exports = {
+  parseTcpAddress,
+  ZWaveTcpBridge,
+};